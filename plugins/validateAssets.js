@@ -0,0 +1,189 @@
+import fs from 'node:fs'
+import path from 'node:path'
+
+/**
+ * validateAssets - Vite plugin guarding the archive's media references
+ *
+ * Collects every public asset path the archive points at:
+ * - Catalog entries in src/content/logs/*.json (MissionLog + ComparePlayer props)
+ * - String literals in src/ that point into public/ (component defaults, UI sounds)
+ *
+ * Each path is checked for:
+ * - Missing files (including case mismatches that only work on macOS)
+ * - Extensions that don't match the prop (e.g. an image passed as audioSrc)
+ * - Stray spaces in file names ("Organic .wav")
+ *
+ * `vite build` fails with a report when anything is wrong; the dev server
+ * only logs it. Pass `strict: false` to downgrade build errors to warnings
+ * (vite.config does for `ASSET_CHECK=warn`, meant for preview builds).
+ */
+
+const MEDIA_EXTENSIONS = {
+    video: ['.mp4', '.webm', '.mov'],
+    audio: ['.wav', '.mp3', '.m4a', '.aac', '.ogg', '.flac'],
+    image: ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.svg'],
+}
+
+const ALL_EXTENSIONS = Object.values(MEDIA_EXTENSIONS).flat()
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx']
+
+// Lists whose entries are audio whatever their keys are called (stems[].src)
+const AUDIO_LISTS = /(^|\.)stems\[/
+
+// Infer the expected media type from the catalog key name (and its parents)
+const kindForKey = (key, keyPath = key) => {
+    if (/audio/i.test(key) || AUDIO_LISTS.test(keyPath)) return 'audio'
+    if (/video|^src[A-Z]?$/i.test(key)) return 'video'
+    if (/poster|art|image/i.test(key)) return 'image'
+    return null
+}
+
+const isAssetPath = (value) => typeof value === 'string' && value.startsWith('/') && !value.startsWith('//')
+
+// Walk a catalog entry and yield every asset path with its key path
+const collectFromEntry = (value, keyPath, refs, origin) => {
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => collectFromEntry(item, `${keyPath}[${i}]`, refs, origin))
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            collectFromEntry(child, keyPath ? `${keyPath}.${key}` : key, refs, origin)
+        })
+    } else if (isAssetPath(value)) {
+        const key = keyPath.split(/[.[]/).filter(Boolean).pop().replace(/\]$/, '')
+        refs.push({ assetPath: value, kind: kindForKey(key, keyPath), origin: `${origin} › ${keyPath}` })
+    }
+}
+
+const listFiles = (dir, extensions) => {
+    if (!fs.existsSync(dir)) return []
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) return listFiles(fullPath, extensions)
+        return extensions.includes(path.extname(entry.name)) ? [fullPath] : []
+    })
+}
+
+const collectFromCatalog = (root, catalogDir) => {
+    const refs = []
+    listFiles(catalogDir, ['.json']).forEach((file) => {
+        const origin = path.relative(root, file)
+        try {
+            collectFromEntry(JSON.parse(fs.readFileSync(file, 'utf8')), '', refs, origin)
+        } catch (err) {
+            refs.push({ error: `${origin}: invalid JSON (${err.message})` })
+        }
+    })
+    return refs
+}
+
+const collectFromSource = (root, srcDir, publicDir) => {
+    if (!fs.existsSync(publicDir)) return []
+
+    const publicDirs = fs.readdirSync(publicDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+    if (publicDirs.length === 0) return []
+
+    const literal = new RegExp(`(['"\`])(/(?:${publicDirs.join('|')})/[^'"\`$]+?)\\1`, 'g')
+    const refs = []
+
+    listFiles(srcDir, SOURCE_EXTENSIONS).forEach((file) => {
+        const source = fs.readFileSync(file, 'utf8')
+        for (const match of source.matchAll(literal)) {
+            const line = source.slice(0, match.index).split('\n').length
+            refs.push({ assetPath: match[2], kind: null, origin: `${path.relative(root, file)}:${line}` })
+        }
+    })
+    return refs
+}
+
+// Exact-case existence check, so "Deer Trails.png" vs "DEER TRAILS.png" fails everywhere
+const existsExactCase = (publicDir, assetPath) => {
+    let current = publicDir
+    for (const segment of assetPath.split('/').filter(Boolean)) {
+        if (!fs.existsSync(current) || !fs.statSync(current).isDirectory()) return false
+        if (!fs.readdirSync(current).includes(segment)) return false
+        current = path.join(current, segment)
+    }
+    return true
+}
+
+const checkReference = (publicDir, { assetPath, kind }) => {
+    const problems = []
+    const fileName = path.posix.basename(assetPath)
+    const ext = path.posix.extname(fileName).toLowerCase()
+    const stem = fileName.slice(0, fileName.length - ext.length)
+
+    if (!existsExactCase(publicDir, assetPath)) {
+        problems.push('missing file')
+    }
+
+    if (kind && !MEDIA_EXTENSIONS[kind].includes(ext)) {
+        problems.push(`expected ${kind} (${MEDIA_EXTENSIONS[kind].join(', ')}), got "${ext || 'no extension'}"`)
+    } else if (!kind && !ALL_EXTENSIONS.includes(ext)) {
+        problems.push(`unsupported extension "${ext || 'none'}"`)
+    }
+
+    if (stem !== stem.trim() || /\s{2,}/.test(fileName)) {
+        problems.push('stray spaces in file name')
+    }
+
+    return problems
+}
+
+export const findAssetProblems = ({ root, publicDir, srcDir, catalogDir }) => {
+    const refs = [
+        ...collectFromCatalog(root, catalogDir),
+        ...collectFromSource(root, srcDir, publicDir),
+    ]
+
+    const problems = []
+    refs.forEach((ref) => {
+        if (ref.error) {
+            problems.push(ref.error)
+            return
+        }
+        checkReference(publicDir, ref).forEach((problem) => {
+            problems.push(`${ref.assetPath}  →  ${problem}  (${ref.origin})`)
+        })
+    })
+
+    return { problems, checked: refs.length }
+}
+
+const formatReport = (problems) => [
+    `[validate-assets] ${problems.length} problem(s) with archive media:`,
+    ...problems.map((problem) => `  ✗ ${problem}`),
+].join('\n')
+
+const validateAssets = ({ strict = true, catalogDir = 'src/content/logs', srcDir = 'src' } = {}) => {
+    let config
+
+    return {
+        name: 'signal-lab:validate-assets',
+
+        configResolved(resolvedConfig) {
+            config = resolvedConfig
+        },
+
+        buildStart() {
+            const { problems } = findAssetProblems({
+                root: config.root,
+                publicDir: config.publicDir,
+                srcDir: path.resolve(config.root, srcDir),
+                catalogDir: path.resolve(config.root, catalogDir),
+            })
+            if (problems.length === 0) return
+
+            const report = formatReport(problems)
+            if (config.command === 'build' && strict) {
+                this.error(report)
+            } else {
+                config.logger.warn(report)
+            }
+        },
+    }
+}
+
+export default validateAssets
@@ -0,0 +1,289 @@
+import fs from 'node:fs'
+import path from 'node:path'
+
+/**
+ * waveformPeaks - Vite plugin that pre-computes waveform peaks
+ *
+ * For every audio file referenced in the catalog (src/content/logs/*.json)
+ * it decodes the WAV data and emits a compact peaks JSON at several zoom
+ * levels, so MissionLog can draw its waveform scrubber before the audio
+ * itself has loaded.
+ *
+ * - Build: peaks are emitted as assets under /peaks/
+ * - Dev: peaks are computed on request and cached by file mtime; the
+ *   manifest is rebuilt when a catalog file or public audio file changes
+ * - `virtual:waveform-peaks` maps each audio path to its peaks URL
+ *
+ * Only PCM / float WAV is decoded (no native decoders in Node); catalog
+ * audio in other formats gets a warning and the scrubber falls back to a bar.
+ */
+const VIRTUAL_ID = 'virtual:waveform-peaks'
+const RESOLVED_VIRTUAL_ID = '\0' + VIRTUAL_ID
+
+// Buckets per zoom level (coarse → fine)
+const LEVELS = [256, 1024, 4096]
+
+const AUDIO_EXTENSIONS = ['.wav', '.mp3', '.m4a', '.aac', '.ogg', '.flac']
+
+const WAVE_FORMAT_PCM = 1
+const WAVE_FORMAT_FLOAT = 3
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe
+
+// ---- WAV decoding ----
+
+const readSample = (buffer, offset, format, bitsPerSample) => {
+    if (format === WAVE_FORMAT_FLOAT) {
+        return bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset)
+    }
+    switch (bitsPerSample) {
+        case 8: return (buffer.readUInt8(offset) - 128) / 128
+        case 16: return buffer.readInt16LE(offset) / 32768
+        case 24: return buffer.readIntLE(offset, 3) / 8388608
+        case 32: return buffer.readInt32LE(offset) / 2147483648
+        default: throw new Error(`unsupported bit depth ${bitsPerSample}`)
+    }
+}
+
+export const decodeWav = (buffer) => {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('not a RIFF/WAVE file')
+    }
+
+    let fmt = null
+    let data = null
+    let offset = 12
+
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4)
+        const size = buffer.readUInt32LE(offset + 4)
+        const body = offset + 8
+
+        if (id === 'fmt ') {
+            let format = buffer.readUInt16LE(body)
+            if (format === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+                format = buffer.readUInt16LE(body + 24)
+            }
+            fmt = {
+                format,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                blockAlign: buffer.readUInt16LE(body + 12),
+                bitsPerSample: buffer.readUInt16LE(body + 14),
+            }
+        } else if (id === 'data') {
+            data = { start: body, length: Math.min(size, buffer.length - body) }
+        }
+
+        // Chunks are word-aligned
+        offset = body + size + (size % 2)
+    }
+
+    if (!fmt || !data) throw new Error('missing fmt or data chunk')
+    if (fmt.format !== WAVE_FORMAT_PCM && fmt.format !== WAVE_FORMAT_FLOAT) {
+        throw new Error(`unsupported WAV encoding ${fmt.format}`)
+    }
+
+    return { ...fmt, frames: Math.floor(data.length / fmt.blockAlign), dataStart: data.start }
+}
+
+// ---- Peaks ----
+
+const quantize = (value) => Math.max(-127, Math.min(127, Math.round(value * 127)))
+
+export const computePeaks = (buffer) => {
+    const wav = decodeWav(buffer)
+    const { channels, sampleRate, blockAlign, bitsPerSample, format, frames, dataStart } = wav
+    const bytesPerSample = bitsPerSample / 8
+
+    // Single pass at the finest level, coarser levels are merged from it
+    const finest = Math.max(1, Math.min(LEVELS[LEVELS.length - 1], frames))
+    const mins = new Float32Array(finest).fill(1)
+    const maxs = new Float32Array(finest).fill(-1)
+
+    for (let frame = 0; frame < frames; frame++) {
+        const bucket = Math.min(finest - 1, Math.floor((frame / frames) * finest))
+        const frameOffset = dataStart + frame * blockAlign
+        for (let channel = 0; channel < channels; channel++) {
+            const sample = readSample(buffer, frameOffset + channel * bytesPerSample, format, bitsPerSample)
+            if (sample < mins[bucket]) mins[bucket] = sample
+            if (sample > maxs[bucket]) maxs[bucket] = sample
+        }
+    }
+
+    // Files shorter than the coarsest level still get one (at full resolution)
+    const sizes = LEVELS.filter((buckets) => buckets <= finest)
+    const levels = (sizes.length > 0 ? sizes : [finest]).map((buckets) => {
+        const ratio = finest / buckets
+        const peaks = []
+        for (let i = 0; i < buckets; i++) {
+            let min = 1
+            let max = -1
+            for (let j = Math.floor(i * ratio); j < Math.floor((i + 1) * ratio); j++) {
+                if (mins[j] < min) min = mins[j]
+                if (maxs[j] > max) max = maxs[j]
+            }
+            // Empty file: a flat line rather than a full-scale bar
+            if (min > max) min = max = 0
+            peaks.push(quantize(Math.min(min, max)), quantize(Math.max(min, max)))
+        }
+        return { buckets, peaks }
+    })
+
+    return {
+        version: 1,
+        sampleRate,
+        duration: frames / sampleRate,
+        levels,
+    }
+}
+
+// ---- Catalog discovery ----
+
+const collectAudioPaths = (value, paths) => {
+    if (Array.isArray(value)) {
+        value.forEach((item) => collectAudioPaths(item, paths))
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach((child) => collectAudioPaths(child, paths))
+    } else if (typeof value === 'string' && value.startsWith('/')
+        && AUDIO_EXTENSIONS.includes(path.posix.extname(value).toLowerCase())) {
+        paths.add(value)
+    }
+}
+
+const readCatalogAudio = (catalogDir) => {
+    const paths = new Set()
+    if (!fs.existsSync(catalogDir)) return paths
+
+    fs.readdirSync(catalogDir)
+        .filter((file) => file.endsWith('.json'))
+        .forEach((file) => {
+            try {
+                collectAudioPaths(JSON.parse(fs.readFileSync(path.join(catalogDir, file), 'utf8')), paths)
+            } catch {
+                // Invalid JSON is reported by validateAssets
+            }
+        })
+    return paths
+}
+
+const peaksFileName = (audioPath) => {
+    const slug = audioPath.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    return `peaks/${slug}.json`
+}
+
+const waveformPeaks = ({ catalogDir = 'src/content/logs' } = {}) => {
+    let config
+    const cache = new Map() // audioPath → { mtime, json }
+
+    const isDecodable = (audioPath) => path.posix.extname(audioPath).toLowerCase() === '.wav'
+
+    // Peaks JSON for one audio path, or null if it can't be decoded
+    const peaksFor = (audioPath) => {
+        const file = path.join(config.publicDir, audioPath)
+        if (!isDecodable(audioPath) || !fs.existsSync(file)) return null
+
+        const { mtimeMs } = fs.statSync(file)
+        const cached = cache.get(audioPath)
+        if (cached && cached.mtime === mtimeMs) return cached.json
+
+        try {
+            const json = JSON.stringify(computePeaks(fs.readFileSync(file)))
+            cache.set(audioPath, { mtime: mtimeMs, json })
+            return json
+        } catch (err) {
+            config.logger.warn(`[waveform-peaks] ${audioPath}: ${err.message}`)
+            return null
+        }
+    }
+
+    // Catalog audio that exists, split by whether peaks can be computed.
+    // Cached until the catalog or the public audio changes (see configureServer)
+    let scan = null
+    const scanCatalog = () => {
+        if (!scan) {
+            scan = { manifest: {}, undecodable: [] }
+            readCatalogAudio(path.resolve(config.root, catalogDir)).forEach((audioPath) => {
+                if (!fs.existsSync(path.join(config.publicDir, audioPath))) return
+                if (isDecodable(audioPath)) scan.manifest[audioPath] = config.base + peaksFileName(audioPath)
+                else scan.undecodable.push(audioPath)
+            })
+        }
+        return scan
+    }
+    const manifest = () => scanCatalog().manifest
+
+    const undecodableReport = (paths) => `[waveform-peaks] only WAV can be decoded, these fall back to a plain progress bar:\n${paths.map((audioPath) => `  ${audioPath}`).join('\n')}`
+
+    const isCatalogFile = (file) => {
+        const relative = path.relative(path.resolve(config.root, catalogDir), file)
+        return !relative.startsWith('..') && !path.isAbsolute(relative) && file.endsWith('.json')
+    }
+    const isPublicAudio = (file) => {
+        const relative = path.relative(config.publicDir, file)
+        return !relative.startsWith('..') && !path.isAbsolute(relative)
+            && AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    }
+
+    return {
+        name: 'signal-lab:waveform-peaks',
+
+        configResolved(resolvedConfig) {
+            config = resolvedConfig
+        },
+
+        resolveId(id) {
+            return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null
+        },
+
+        load(id) {
+            if (id !== RESOLVED_VIRTUAL_ID) return null
+            return `export default ${JSON.stringify(manifest())}`
+        },
+
+        configureServer(server) {
+            server.watcher.on('all', (event, file) => {
+                if (!isCatalogFile(file) && !isPublicAudio(file)) return
+                scan = null
+                const virtualModule = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_ID)
+                if (virtualModule) server.moduleGraph.invalidateModule(virtualModule)
+
+                const { undecodable } = scanCatalog()
+                if (undecodable.length > 0) config.logger.warn(undecodableReport(undecodable))
+            })
+
+            server.middlewares.use((req, res, next) => {
+                const url = decodeURIComponent((req.url || '').split('?')[0])
+                const audioPath = Object.keys(manifest()).find((key) => url === config.base + peaksFileName(key))
+                const json = audioPath && peaksFor(audioPath)
+                if (!json) return next()
+
+                res.setHeader('Content-Type', 'application/json')
+                res.end(json)
+            })
+        },
+
+        // Catalog edits also reload the manifest in the page
+        handleHotUpdate({ file, modules, server }) {
+            if (!isCatalogFile(file)) return
+            const virtualModule = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_ID)
+            return virtualModule ? [...modules, virtualModule] : modules
+        },
+
+        buildStart() {
+            scan = null
+            const { undecodable } = scanCatalog()
+            if (undecodable.length > 0) this.warn(undecodableReport(undecodable))
+        },
+
+        generateBundle() {
+            Object.keys(manifest()).forEach((audioPath) => {
+                const json = peaksFor(audioPath)
+                if (json) {
+                    this.emitFile({ type: 'asset', fileName: peaksFileName(audioPath), source: json })
+                }
+            })
+        },
+    }
+}
+
+export default waveformPeaks
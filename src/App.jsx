@@ -1,10 +1,26 @@
 import SignalLab from './components/SignalLab'
+import { PreferencesProvider } from './preferences/Preferences'
+import { I18nProvider } from './i18n/I18n'
+import { UISoundProvider } from './audio/UISound'
+import { PlaybackProvider } from './playback/PlaybackCoordinator'
+import { NowPlayingProvider } from './playback/NowPlaying'
+import { transmissionQueue } from './content/catalog'
 
 function App() {
     return (
-        <div className="app">
-            <SignalLab />
-        </div>
+        <PreferencesProvider>
+            <I18nProvider>
+                <UISoundProvider>
+                    <PlaybackProvider>
+                        <NowPlayingProvider tracks={transmissionQueue}>
+                            <div className="app">
+                                <SignalLab />
+                            </div>
+                        </NowPlayingProvider>
+                    </PlaybackProvider>
+                </UISoundProvider>
+            </I18nProvider>
+        </PreferencesProvider>
     )
 }
 
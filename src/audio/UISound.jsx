@@ -0,0 +1,152 @@
+import { createContext, useContext, useEffect, useRef, useCallback, useMemo } from 'react'
+import { getAudioContext, resumeAudioContext } from './audioContext'
+import { usePreferences } from '../preferences/Preferences'
+
+/**
+ * UISound - Shared Web Audio engine for interface sounds
+ *
+ * Features:
+ * - Decodes each UI sound ONCE into an AudioBuffer for the whole page
+ * - Low-latency playback via AudioBufferSourceNode (no <audio> element lag)
+ * - Polyphony with a per-sound voice cap, so fast hover sweeps don't pile up
+ * - Resumes the shared AudioContext on the first user gesture
+ * - On/off and volume come from the visitor's preferences
+ *
+ * Usage:
+ *   const { play } = useUISound()
+ *   play('click') | play('hover') | play('expand') | play('collapse')
+ */
+const UI_SOUNDS = {
+    click: { src: '/ui/ui_click.mp3', volume: 1, maxVoices: 4, cooldown: 30 },
+    hover: { src: '/ui/ui_hover.mp3', volume: 0.35, maxVoices: 2, cooldown: 120 },
+    expand: { src: '/ui/ui_expand.mp3', volume: 0.8, maxVoices: 2, cooldown: 60 },
+}
+
+// Collapse reuses the expand sample, pitched down and a touch quieter
+const SOUND_ALIASES = {
+    collapse: { sound: 'expand', playbackRate: 0.85, volume: 0.6 },
+}
+
+const UISoundContext = createContext({
+    play: () => { },
+})
+
+export const UISoundProvider = ({ children }) => {
+    const { preferences: { uiSounds, uiVolume: volume } } = usePreferences()
+    const enabledRef = useRef(uiSounds)
+    enabledRef.current = uiSounds
+    const buffersRef = useRef({})
+    const voicesRef = useRef({})
+    const lastPlayedRef = useRef({})
+    const masterGainRef = useRef(null)
+
+    // Decode all UI sounds once
+    useEffect(() => {
+        const ctx = getAudioContext()
+        if (!ctx) return
+
+        let cancelled = false
+
+        const masterGain = ctx.createGain()
+        masterGain.gain.value = volume
+        masterGain.connect(ctx.destination)
+        masterGainRef.current = masterGain
+
+        Object.entries(UI_SOUNDS).forEach(([name, { src }]) => {
+            fetch(src)
+                .then((response) => response.arrayBuffer())
+                .then((data) => ctx.decodeAudioData(data))
+                .then((buffer) => {
+                    if (!cancelled) buffersRef.current[name] = buffer
+                })
+                .catch(() => { })
+        })
+
+        return () => {
+            cancelled = true
+            masterGain.disconnect()
+            masterGainRef.current = null
+        }
+        // Volume changes are handled below without re-decoding
+    }, [])
+
+    // Keep master volume in sync
+    useEffect(() => {
+        if (masterGainRef.current) {
+            masterGainRef.current.gain.value = volume
+        }
+    }, [volume])
+
+    // Unlock the context on the first gesture so hover sounds work afterwards
+    useEffect(() => {
+        const unlock = () => {
+            resumeAudioContext()
+            window.removeEventListener('pointerdown', unlock)
+            window.removeEventListener('keydown', unlock)
+        }
+        window.addEventListener('pointerdown', unlock)
+        window.addEventListener('keydown', unlock)
+
+        return () => {
+            window.removeEventListener('pointerdown', unlock)
+            window.removeEventListener('keydown', unlock)
+        }
+    }, [])
+
+    const play = useCallback((name) => {
+        const ctx = getAudioContext()
+        const masterGain = masterGainRef.current
+        if (!ctx || !masterGain || !enabledRef.current) return
+
+        const alias = SOUND_ALIASES[name]
+        const soundName = alias ? alias.sound : name
+        const sound = UI_SOUNDS[soundName]
+        const buffer = buffersRef.current[soundName]
+        if (!sound || !buffer) return
+
+        // Hover before any gesture can't be heard anyway; don't queue it up
+        if (ctx.state === 'suspended') {
+            resumeAudioContext()
+            if (name === 'hover') return
+        }
+
+        // Debounce rapid re-triggers of the same sound
+        const now = performance.now()
+        if (now - (lastPlayedRef.current[name] || -Infinity) < sound.cooldown) return
+        lastPlayedRef.current[name] = now
+
+        // Voice cap: stop the oldest voice when the pool is full
+        const voices = voicesRef.current[soundName] || (voicesRef.current[soundName] = [])
+        if (voices.length >= sound.maxVoices) {
+            const oldest = voices.shift()
+            try { oldest.stop() } catch { /* already stopped */ }
+        }
+
+        const source = ctx.createBufferSource()
+        const gain = ctx.createGain()
+        source.buffer = buffer
+        source.playbackRate.value = alias?.playbackRate ?? 1
+        gain.gain.value = sound.volume * (alias?.volume ?? 1)
+        source.connect(gain)
+        gain.connect(masterGain)
+
+        source.onended = () => {
+            const index = voices.indexOf(source)
+            if (index !== -1) voices.splice(index, 1)
+            gain.disconnect()
+        }
+
+        voices.push(source)
+        source.start()
+    }, [])
+
+    const value = useMemo(() => ({ play }), [play])
+
+    return (
+        <UISoundContext.Provider value={value}>
+            {children}
+        </UISoundContext.Provider>
+    )
+}
+
+export const useUISound = () => useContext(UISoundContext)
@@ -0,0 +1,30 @@
+/**
+ * ABX Test Helpers
+ *
+ * - X is drawn independently for every trial (cryptographically random
+ *   where available, so listeners can't learn a pattern)
+ * - Scoring uses a one-sided exact binomial test against guessing (p = 0.5)
+ */
+const randomBit = () => {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint8Array(1))[0] & 1
+    }
+    return Math.random() < 0.5 ? 0 : 1
+}
+
+export const drawX = () => (randomBit() ? 'B' : 'A')
+
+// P(at least `correct` right out of `trials` by pure guessing)
+export const binomialPValue = (correct, trials) => {
+    if (trials <= 0) return 1
+
+    let probability = 0
+    let combinations = 1 // C(trials, 0)
+    for (let k = 0; k <= trials; k++) {
+        if (k >= correct) probability += combinations
+        combinations = combinations * (trials - k) / (k + 1)
+    }
+    return Math.min(1, probability / Math.pow(2, trials))
+}
+
+export const SIGNIFICANCE = 0.05
@@ -0,0 +1,29 @@
+/**
+ * Shared AudioContext
+ *
+ * Browsers cap the number of live AudioContexts, and every Web Audio
+ * feature on the page (UI sounds, analysers, crossfades) should share one
+ * clock. The context is created lazily and starts suspended until a user
+ * gesture resumes it.
+ */
+let audioContext = null
+
+export const getAudioContext = () => {
+    if (audioContext) return audioContext
+    if (typeof window === 'undefined') return null
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!AudioContextClass) return null
+
+    audioContext = new AudioContextClass()
+    return audioContext
+}
+
+// Resume after a user gesture (autoplay policy). Safe to call repeatedly.
+export const resumeAudioContext = () => {
+    const ctx = getAudioContext()
+    if (ctx && ctx.state === 'suspended') {
+        return ctx.resume().catch(() => { })
+    }
+    return Promise.resolve()
+}
@@ -0,0 +1,65 @@
+/**
+ * Spectrum Bands
+ *
+ * Reduces live AnalyserNode spectra to three coarse levels (0..1) for
+ * visuals that react to whatever is playing:
+ * - low:  20–150 Hz (kick, bass, rumble)
+ * - mid:  150 Hz–2 kHz (body, voice)
+ * - high: 2–12 kHz (air, transients)
+ *
+ * Several analysers (e.g. both compare soundtracks) are combined by taking
+ * the louder one per band.
+ */
+export const BANDS = {
+    low: [20, 150],
+    mid: [150, 2000],
+    high: [2000, 12000],
+}
+
+const SILENCE = { low: 0, mid: 0, high: 0 }
+
+// Average of the analyser's byte spectrum between two frequencies, 0..1
+const bandLevel = (data, binWidth, [from, to]) => {
+    const start = Math.max(1, Math.floor(from / binWidth))
+    const end = Math.min(data.length - 1, Math.ceil(to / binWidth))
+    if (end < start) return 0
+
+    let sum = 0
+    for (let i = start; i <= end; i++) sum += data[i]
+    return sum / ((end - start + 1) * 255)
+}
+
+/**
+ * Current band levels across the given analysers.
+ * Pass a `scratch` Uint8Array to avoid allocating every frame.
+ */
+export const readBands = (analysers, scratch) => {
+    if (!analysers.length) return SILENCE
+    const levels = { low: 0, mid: 0, high: 0 }
+
+    analysers.forEach((analyser) => {
+        const data = scratch?.length === analyser.frequencyBinCount
+            ? scratch
+            : new Uint8Array(analyser.frequencyBinCount)
+        analyser.getByteFrequencyData(data)
+        const binWidth = analyser.context.sampleRate / analyser.fftSize
+
+        for (const band of Object.keys(BANDS)) {
+            levels[band] = Math.max(levels[band], bandLevel(data, binWidth, BANDS[band]))
+        }
+    })
+
+    return levels
+}
+
+/**
+ * Eases `current` towards `target` per band: quick to rise, slow to fall,
+ * so hits register immediately and silence fades out gently.
+ */
+export const followBands = (current, target, { attack = 0.35, release = 0.04 } = {}) => {
+    for (const band of Object.keys(BANDS)) {
+        const rate = target[band] > current[band] ? attack : release
+        current[band] += (target[band] - current[band]) * rate
+    }
+    return current
+}
@@ -0,0 +1,27 @@
+/**
+ * Crossfade Curves
+ *
+ * Each curve maps a position x (0 = all A, 1 = all B) to a [gainA, gainB]
+ * pair. Equal-power keeps perceived loudness constant through the middle
+ * of the fade, where a linear fade dips by ~3 dB.
+ */
+export const CROSSFADE_CURVES = {
+    'equal-power': (x) => [Math.cos(x * Math.PI / 2), Math.sin(x * Math.PI / 2)],
+    linear: (x) => [1 - x, x],
+    // Hard switch at the midpoint, for instant A/B flips
+    cut: (x) => (x < 0.5 ? [1, 0] : [0, 1]),
+}
+
+export const DEFAULT_CROSSFADE_CURVE = 'equal-power'
+
+export const crossfadeGains = (position, curve = DEFAULT_CROSSFADE_CURVE) => {
+    const x = Math.max(0, Math.min(1, position))
+    const curveFn = CROSSFADE_CURVES[curve] || CROSSFADE_CURVES[DEFAULT_CROSSFADE_CURVE]
+    return curveFn(x)
+}
+
+// Smoothly ramp an AudioParam to avoid zipper noise while dragging
+export const rampGain = (param, value, context, timeConstant = 0.015) => {
+    param.cancelScheduledValues(context.currentTime)
+    param.setTargetAtTime(value, context.currentTime, timeConstant)
+}
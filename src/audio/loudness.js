@@ -0,0 +1,219 @@
+import { getAudioContext } from './audioContext'
+
+/**
+ * Loudness Measurement (ITU-R BS.1770 / EBU R128)
+ *
+ * - K-weighting: high-shelf pre-filter + RLB high-pass, coefficients
+ *   derived for the buffer's own sample rate
+ * - Integrated loudness: 400 ms blocks, 75% overlap, absolute gate at
+ *   -70 LUFS and relative gate at -10 LU
+ * - Loudness range (EBU Tech 3342): 3 s short-term blocks, relative gate
+ *   at -20 LU, spread between the 10th and 95th percentiles
+ *
+ * Works on decoded AudioBuffers, so it runs fully offline in the browser.
+ */
+const ABSOLUTE_GATE = -70
+const RELATIVE_GATE = -10
+const RANGE_RELATIVE_GATE = -20
+const BLOCK_SECONDS = 0.4
+const BLOCK_OVERLAP = 0.75
+
+// ---- K-weighting ----
+
+const shelfCoefficients = (sampleRate) => {
+    const gain = 3.99984385397
+    const q = 0.7071752369554193
+    const fc = 1681.9744509555319
+
+    const k = Math.tan(Math.PI * fc / sampleRate)
+    const vh = Math.pow(10, gain / 20)
+    const vb = Math.pow(vh, 0.499666774155)
+    const a0 = 1 + k / q + k * k
+
+    return {
+        b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+        a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0],
+    }
+}
+
+const highPassCoefficients = (sampleRate) => {
+    const q = 0.5003270373253953
+    const fc = 38.13547087613982
+
+    const k = Math.tan(Math.PI * fc / sampleRate)
+    const a0 = 1 + k / q + k * k
+
+    return {
+        b: [1, -2, 1],
+        a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0],
+    }
+}
+
+// Direct form I biquad, in place on a copy
+const biquad = (input, { b, a }) => {
+    const output = new Float32Array(input.length)
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0
+
+    for (let i = 0; i < input.length; i++) {
+        const x = input[i]
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2
+        x2 = x1
+        x1 = x
+        y2 = y1
+        y1 = y
+        output[i] = y
+    }
+    return output
+}
+
+// Both K-weighting stages as { b, a } biquads (a without the leading 1)
+export const kWeightingFilters = (sampleRate) => [shelfCoefficients(sampleRate), highPassCoefficients(sampleRate)]
+
+export const kWeight = (channelData, sampleRate) => (
+    kWeightingFilters(sampleRate).reduce((data, filter) => biquad(data, filter), channelData)
+)
+
+// ---- Block loudness ----
+
+export const energyToLufs = (energy) => (energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity)
+
+// Channel weights per BS.1770 (surrounds at +1.5 dB, LFE ignored for ≤ 5.1)
+const channelWeight = (channel, channelCount) => {
+    if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41][channel]
+    return 1
+}
+
+// Running sum of squares, so any window's energy is one subtraction
+const squaredPrefixSum = (data) => {
+    const prefix = new Float64Array(data.length + 1)
+    for (let i = 0; i < data.length; i++) {
+        prefix[i + 1] = prefix[i] + data[i] * data[i]
+    }
+    return prefix
+}
+
+// Per-channel prefix sums; compute once and pass them to every blockEnergies call
+export const squaredPrefixSums = (weightedChannels) => weightedChannels.map(squaredPrefixSum)
+
+/**
+ * Mean-square energy of K-weighted audio per block.
+ * Returns an array of summed (channel-weighted) block energies.
+ */
+export const blockEnergies = (
+    weightedChannels,
+    sampleRate,
+    blockSeconds = BLOCK_SECONDS,
+    overlap = BLOCK_OVERLAP,
+    prefixes = squaredPrefixSums(weightedChannels),
+) => {
+    const blockSize = Math.round(blockSeconds * sampleRate)
+    const hop = Math.max(1, Math.round(blockSize * (1 - overlap)))
+    const length = weightedChannels[0]?.length || 0
+    const energies = []
+
+    for (let start = 0; start + blockSize <= length; start += hop) {
+        let energy = 0
+        prefixes.forEach((prefix, channel) => {
+            const sum = prefix[start + blockSize] - prefix[start]
+            energy += channelWeight(channel, weightedChannels.length) * (sum / blockSize)
+        })
+        energies.push(energy)
+    }
+    return energies
+}
+
+export const weightChannels = (audioBuffer) => {
+    const channels = []
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(kWeight(audioBuffer.getChannelData(c), audioBuffer.sampleRate))
+    }
+    return channels
+}
+
+// Gated integrated loudness from block energies
+export const gatedLoudness = (energies) => {
+    const aboveAbsolute = energies.filter((energy) => energyToLufs(energy) > ABSOLUTE_GATE)
+    if (aboveAbsolute.length === 0) return -Infinity
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+    const relativeGate = energyToLufs(mean(aboveAbsolute)) + RELATIVE_GATE
+    const aboveRelative = aboveAbsolute.filter((energy) => energyToLufs(energy) > relativeGate)
+    if (aboveRelative.length === 0) return -Infinity
+
+    return energyToLufs(mean(aboveRelative))
+}
+
+// Loudness range (LU) from short-term (3 s) block energies
+export const loudnessRange = (shortTermEnergies) => {
+    const aboveAbsolute = shortTermEnergies.filter((energy) => energyToLufs(energy) > ABSOLUTE_GATE)
+    if (aboveAbsolute.length === 0) return null
+
+    const mean = aboveAbsolute.reduce((sum, energy) => sum + energy, 0) / aboveAbsolute.length
+    const relativeGate = energyToLufs(mean) + RANGE_RELATIVE_GATE
+    const levels = aboveAbsolute
+        .map(energyToLufs)
+        .filter((level) => level > relativeGate)
+        .sort((a, b) => a - b)
+    if (levels.length < 2) return 0
+
+    const percentile = (p) => levels[Math.round(p * (levels.length - 1))]
+    return percentile(0.95) - percentile(0.1)
+}
+
+export const integratedLoudness = (audioBuffer) => (
+    gatedLoudness(blockEnergies(weightChannels(audioBuffer), audioBuffer.sampleRate))
+)
+
+// ---- Fetch + decode ----
+
+const decodeCache = new Map()
+
+// Decode a media URL once (audio or the soundtrack of a video)
+export const decodeMedia = (url) => {
+    if (!decodeCache.has(url)) {
+        const ctx = getAudioContext()
+        const request = !ctx
+            ? Promise.reject(new Error('Web Audio unavailable'))
+            : fetch(url)
+                .then((response) => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+                    return response.arrayBuffer()
+                })
+                .then((data) => ctx.decodeAudioData(data))
+
+        // Don't cache failures, so a later retry can succeed
+        request.catch(() => decodeCache.delete(url))
+        decodeCache.set(url, request)
+    }
+    return decodeCache.get(url)
+}
+
+const loudnessCache = new Map()
+
+// Integrated loudness (LUFS) of a media URL, or null if it can't be decoded
+export const measureLoudness = (url) => {
+    if (!loudnessCache.has(url)) {
+        loudnessCache.set(url, decodeMedia(url)
+            .then(integratedLoudness)
+            .catch(() => null))
+    }
+    return loudnessCache.get(url)
+}
+
+/**
+ * Gains (dB) that bring two measurements to the same level by turning the
+ * louder side down. Returns null when either side is silent or unmeasured.
+ */
+export const matchingGains = (loudnessA, loudnessB, maxCorrection = 24) => {
+    if (!Number.isFinite(loudnessA) || !Number.isFinite(loudnessB)) return null
+
+    const target = Math.min(loudnessA, loudnessB)
+    const clamp = (value) => Math.max(-maxCorrection, Math.min(0, value))
+    return {
+        gainA: clamp(target - loudnessA),
+        gainB: clamp(target - loudnessB),
+        difference: Math.abs(loudnessA - loudnessB),
+    }
+}
+
+export const dbToGain = (db) => Math.pow(10, db / 20)
@@ -0,0 +1,88 @@
+import { getAudioContext } from './audioContext'
+
+/**
+ * Media Element Graph
+ *
+ * Routes <audio>/<video> elements through Web Audio so they can be
+ * analysed and processed. An element can only ever be wrapped by ONE
+ * MediaElementAudioSourceNode, so chains are cached per element.
+ *
+ * Chain: element → source → output (GainNode) → duck (GainNode) → destination
+ *                                          └→ analyser (tap, pre-duck)
+ *
+ * `output` belongs to the element's owner (crossfades, level matching);
+ * `duck` belongs to the playback coordinator, so the two never fight.
+ * Elements that were never routed get the same split on element.volume:
+ * owners call setElementVolume, and the duck is multiplied on top.
+ */
+const DUCK_TIME_CONSTANT = 0.08
+
+const chains = new WeakMap()
+const volumes = new WeakMap() // unrouted element → { level, duck }
+
+export const connectMediaElement = (element) => {
+    if (!element) return null
+    if (chains.has(element)) return chains.get(element)
+
+    const ctx = getAudioContext()
+    if (!ctx) return null
+
+    const source = ctx.createMediaElementSource(element)
+    const output = ctx.createGain()
+    const duck = ctx.createGain()
+    const analyser = ctx.createAnalyser()
+    analyser.fftSize = 2048
+    analyser.smoothingTimeConstant = 0.8
+
+    source.connect(output)
+    output.connect(duck)
+    duck.connect(ctx.destination)
+    output.connect(analyser)
+
+    const chain = { source, output, duck, analyser }
+    chains.set(element, chain)
+    return chain
+}
+
+export const getMediaChain = (element) => (element ? chains.get(element) || null : null)
+
+const applyVolume = (element, changes) => {
+    const volume = { level: 1, duck: 1, ...volumes.get(element), ...changes }
+    volumes.set(element, volume)
+    element.volume = volume.level * volume.duck
+}
+
+// Owner's level for an element that isn't routed (the element-volume
+// equivalent of chain.output), kept under any active duck
+export const setElementVolume = (element, level) => {
+    if (!element) return
+    applyVolume(element, { level })
+}
+
+// Duck (level < 1) or restore (level = 1) an element without touching its own gain.
+// Elements that were never routed fall back to element.volume.
+export const duckMediaElement = (element, level) => {
+    if (!element) return
+
+    const chain = getMediaChain(element)
+    if (!chain) {
+        applyVolume(element, { duck: level })
+        return
+    }
+
+    const ctx = chain.duck.context
+    chain.duck.gain.cancelScheduledValues(ctx.currentTime)
+    chain.duck.gain.setTargetAtTime(level, ctx.currentTime, DUCK_TIME_CONSTANT)
+}
+
+// Tear down the graph for an element that is about to unmount.
+// The element can't be wrapped again afterwards, so only call this on unmount.
+export const disconnectMediaElement = (element) => {
+    const chain = getMediaChain(element)
+    if (!chain) return
+
+    chain.source.disconnect()
+    chain.output.disconnect()
+    chain.duck.disconnect()
+    chains.delete(element)
+}
@@ -0,0 +1,92 @@
+import { decodeMedia, kWeightingFilters } from './loudness'
+import { analyzeChannels, MOMENTARY_SECONDS, SHORT_TERM_SECONDS, HOP_SECONDS } from './meteringAnalysis'
+
+/**
+ * Transmission Metering
+ *
+ * Offline technical analysis of a whole file, for the metering panel (the
+ * figures themselves are described in ./meteringAnalysis):
+ * - Decoding and K-weighting happen here; the weighting renders in an
+ *   OfflineAudioContext (native IIR filters, off the main thread)
+ * - Everything else runs in a worker (metering.worker.js), so a
+ *   multi-minute track doesn't freeze the page. Without worker support it
+ *   runs inline as a last resort
+ * - One analysis per URL, cached
+ */
+
+// Native K-weighting, or null when unavailable (the analysis falls back to JS filters)
+const renderKWeighted = async (buffer) => {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext
+    if (!OfflineContext) return null
+
+    const ctx = new OfflineContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate)
+    if (typeof ctx.createIIRFilter !== 'function') return null
+
+    const source = ctx.createBufferSource()
+    source.buffer = buffer
+    const output = kWeightingFilters(buffer.sampleRate).reduce((node, { b, a }) => {
+        const filter = ctx.createIIRFilter(b, [1, ...a])
+        node.connect(filter)
+        return filter
+    }, source)
+    output.connect(ctx.destination)
+    source.start()
+
+    // Copied out of the AudioBuffer so they can be transferred to the worker
+    const rendered = await ctx.startRendering()
+    return Array.from({ length: rendered.numberOfChannels }, (_, channel) => rendered.getChannelData(channel).slice())
+}
+
+const analyzeInWorker = (job) => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./metering.worker.js', import.meta.url), { type: 'module' })
+    const finish = (settle, value) => {
+        worker.terminate()
+        settle(value)
+    }
+    worker.onmessage = ({ data }) => {
+        if (data.error) finish(reject, new Error(data.error))
+        else finish(resolve, data.analysis)
+    }
+    worker.onerror = (event) => finish(reject, new Error(event.message || 'Metering worker failed'))
+
+    try {
+        const buffers = [...job.channels, ...(job.weighted ?? [])].map((data) => data.buffer)
+        worker.postMessage(job, buffers)
+    } catch (err) {
+        finish(reject, err)
+    }
+})
+
+const analyzeBuffer = async (buffer) => {
+    const weighted = await renderKWeighted(buffer)
+    const job = {
+        // Copies: the decoded buffer stays cached for playback and other tools
+        channels: Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel).slice()),
+        weighted,
+        sampleRate: buffer.sampleRate,
+    }
+
+    if (typeof Worker === 'undefined') return analyzeChannels(job)
+    return analyzeInWorker(job)
+}
+
+const analysisCache = new Map()
+
+// Full metering for a media URL, or null if it can't be decoded
+export const analyzeTransmission = (url) => {
+    if (!analysisCache.has(url)) {
+        analysisCache.set(url, decodeMedia(url)
+            .then(analyzeBuffer)
+            .catch(() => null))
+    }
+    return analysisCache.get(url)
+}
+
+// Loudness of the window ending at `time` from a precomputed series
+export const levelAt = (series, windowSeconds, time, hopSeconds = HOP_SECONDS) => {
+    if (!series?.length) return -Infinity
+    const index = Math.floor((time - windowSeconds) / hopSeconds)
+    return series[Math.max(0, Math.min(series.length - 1, index))]
+}
+
+export const METER_WINDOWS = { momentary: MOMENTARY_SECONDS, shortTerm: SHORT_TERM_SECONDS }
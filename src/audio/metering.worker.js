@@ -0,0 +1,18 @@
+import { analyzeChannels } from './meteringAnalysis'
+
+/**
+ * Metering Worker - Runs the whole-file metering analysis off the main thread
+ *
+ * Message from audio/metering (channel buffers are transferred):
+ * - { channels, weighted, sampleRate }  weighted may be null (JS K-weighting)
+ *
+ * Replies once with { analysis } or { error }.
+ */
+self.onmessage = ({ data }) => {
+    try {
+        const analysis = analyzeChannels(data)
+        self.postMessage({ analysis }, [analysis.momentary.buffer, analysis.shortTerm.buffer])
+    } catch (err) {
+        self.postMessage({ error: err.message })
+    }
+}
@@ -0,0 +1,121 @@
+import {
+    kWeight,
+    blockEnergies,
+    squaredPrefixSums,
+    gatedLoudness,
+    loudnessRange,
+    energyToLufs,
+} from './loudness'
+
+/**
+ * Metering Analysis
+ *
+ * The DSP behind the metering panel, on plain Float32Array channels so it
+ * can run in a worker (see metering.worker.js):
+ * - Integrated loudness (LUFS) and loudness range (LU) from one set of
+ *   prefix sums shared by the momentary and short-term windows
+ * - True peak (dBTP): 4× oversampled with a windowed-sinc interpolator,
+ *   evaluated only where the signal comes within 6 dB of its sample peak
+ * - Crest factor (sample peak over RMS, dB) and stereo correlation
+ * - Momentary (400 ms) and short-term (3 s) loudness every 100 ms, so a
+ *   live meter can follow playback without any per-frame DSP
+ */
+export const HOP_SECONDS = 0.1
+export const MOMENTARY_SECONDS = 0.4
+export const SHORT_TERM_SECONDS = 3
+const OVERSAMPLING = 4
+const INTERPOLATION_TAPS = 12 // per phase
+const TRUE_PEAK_SEARCH_RATIO = 0.5 // only interpolate within 6 dB of the sample peak
+
+const toDb = (amplitude) => (amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity)
+
+// ---- True peak ----
+
+// Taps for the points between two samples (phase 0 is the sample itself)
+const INTERPOLATION_PHASES = Array.from({ length: OVERSAMPLING - 1 }, (_, p) => {
+    const fraction = (p + 1) / OVERSAMPLING
+    const half = INTERPOLATION_TAPS / 2
+    const taps = Array.from({ length: INTERPOLATION_TAPS }, (_, k) => {
+        const t = fraction - (k - half + 1) // distance to tap sample
+        const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t)
+        const window = 0.5 * (1 + Math.cos(Math.PI * t / half))
+        return sinc * window
+    })
+    const gain = taps.reduce((sum, tap) => sum + tap, 0)
+    return taps.map((tap) => tap / gain)
+})
+
+const channelTruePeak = (data, samplePeak) => {
+    const threshold = samplePeak * TRUE_PEAK_SEARCH_RATIO
+    const offset = INTERPOLATION_TAPS / 2 - 1
+    let peak = samplePeak
+
+    for (let i = 0; i < data.length - 1; i++) {
+        if (Math.abs(data[i]) < threshold && Math.abs(data[i + 1]) < threshold) continue
+
+        for (const taps of INTERPOLATION_PHASES) {
+            let value = 0
+            for (let k = 0; k < taps.length; k++) {
+                const index = i + k - offset
+                if (index >= 0 && index < data.length) value += data[index] * taps[k]
+            }
+            const magnitude = Math.abs(value)
+            if (magnitude > peak) peak = magnitude
+        }
+    }
+    return peak
+}
+
+// ---- Analysis ----
+
+// `weighted` is the K-weighted audio, or null to weight it here (JS filters)
+export const analyzeChannels = ({ channels, weighted, sampleRate }) => {
+    const kWeighted = weighted ?? channels.map((data) => kWeight(data, sampleRate))
+    const prefixes = squaredPrefixSums(kWeighted)
+
+    const momentaryEnergies = blockEnergies(kWeighted, sampleRate, MOMENTARY_SECONDS, 1 - HOP_SECONDS / MOMENTARY_SECONDS, prefixes)
+    const shortTermEnergies = blockEnergies(kWeighted, sampleRate, SHORT_TERM_SECONDS, 1 - HOP_SECONDS / SHORT_TERM_SECONDS, prefixes)
+
+    // Sample peak, RMS and (for stereo) correlation in one pass
+    const length = channels[0]?.length || 0
+    let samplePeak = 0
+    let sumSquares = 0
+    const channelPeaks = channels.map((data) => {
+        let peak = 0
+        for (let i = 0; i < data.length; i++) {
+            const magnitude = Math.abs(data[i])
+            if (magnitude > peak) peak = magnitude
+            sumSquares += data[i] * data[i]
+        }
+        samplePeak = Math.max(samplePeak, peak)
+        return peak
+    })
+    const rms = length > 0 ? Math.sqrt(sumSquares / (length * channels.length)) : 0
+
+    let correlation = null
+    if (channels.length >= 2) {
+        const [left, right] = channels
+        let lr = 0, ll = 0, rr = 0
+        for (let i = 0; i < left.length; i++) {
+            lr += left[i] * right[i]
+            ll += left[i] * left[i]
+            rr += right[i] * right[i]
+        }
+        correlation = ll > 0 && rr > 0 ? lr / Math.sqrt(ll * rr) : 0
+    }
+
+    const truePeak = Math.max(...channels.map((data, channel) => channelTruePeak(data, channelPeaks[channel])))
+
+    return {
+        integrated: gatedLoudness(momentaryEnergies),
+        range: loudnessRange(shortTermEnergies),
+        truePeak: toDb(truePeak),
+        samplePeak: toDb(samplePeak),
+        crestFactor: rms > 0 ? toDb(samplePeak / rms) : null,
+        correlation,
+        duration: length / sampleRate,
+        hopSeconds: HOP_SECONDS,
+        momentary: Float32Array.from(momentaryEnergies, energyToLufs),
+        shortTerm: Float32Array.from(shortTermEnergies, energyToLufs),
+    }
+}
@@ -0,0 +1,142 @@
+import { decodeMedia } from './loudness'
+import { computeSpectrogram } from './spectrogramAnalysis'
+
+/**
+ * Spectrogram (STFT)
+ *
+ * Full-track short-time Fourier transform of a media URL, for the
+ * spectrogram view:
+ * - Decoding happens here; the STFT itself (see ./spectrogramAnalysis) runs
+ *   in a worker (spectrogram.worker.js), so a long track doesn't freeze the
+ *   page. Without worker support it runs inline as a last resort
+ * - One spectrogram per URL, cached
+ * - Rendered to ImageData per colormap and frequency scale (linear / log)
+ *
+ * Shape: { levels: Uint8Array(frames × bins), frames, bins, sampleRate,
+ *          hopSeconds, duration }
+ */
+export const MIN_FREQUENCY = 20 // bottom of the log scale
+
+// ---- Colormaps (stops from dark to bright, interpolated to 256 entries) ----
+
+const COLORMAP_STOPS = {
+    inferno: [[0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99], [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 255, 164]],
+    viridis: [[68, 1, 84], [72, 40, 120], [62, 74, 137], [49, 104, 142], [38, 130, 142], [31, 158, 137], [53, 183, 121], [109, 205, 89], [180, 222, 44], [253, 231, 37]],
+    signal: [[0, 0, 0], [40, 30, 0], [128, 96, 0], [255, 215, 0], [255, 255, 224]],
+    grayscale: [[0, 0, 0], [255, 255, 255]],
+}
+
+export const COLORMAPS = Object.keys(COLORMAP_STOPS)
+
+const colormapCache = new Map()
+
+const buildColormap = (name) => {
+    if (!colormapCache.has(name)) {
+        const stops = COLORMAP_STOPS[name] || COLORMAP_STOPS.inferno
+        const table = new Uint8ClampedArray(256 * 3)
+        for (let i = 0; i < 256; i++) {
+            const position = (i / 255) * (stops.length - 1)
+            const low = Math.floor(position)
+            const high = Math.min(stops.length - 1, low + 1)
+            const mix = position - low
+            for (let c = 0; c < 3; c++) {
+                table[i * 3 + c] = stops[low][c] + (stops[high][c] - stops[low][c]) * mix
+            }
+        }
+        colormapCache.set(name, table)
+    }
+    return colormapCache.get(name)
+}
+
+// ---- Analysis ----
+
+const analyzeInWorker = (job) => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./spectrogram.worker.js', import.meta.url), { type: 'module' })
+    const finish = (settle, value) => {
+        worker.terminate()
+        settle(value)
+    }
+    worker.onmessage = ({ data }) => {
+        if (data.error) finish(reject, new Error(data.error))
+        else finish(resolve, data.spectrogram)
+    }
+    worker.onerror = (event) => finish(reject, new Error(event.message || 'Spectrogram worker failed'))
+
+    try {
+        worker.postMessage(job, job.channels.map((data) => data.buffer))
+    } catch (err) {
+        finish(reject, err)
+    }
+})
+
+const analyzeBuffer = (buffer) => {
+    const job = {
+        // Copies: the decoded buffer stays cached for playback and other tools
+        channels: Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel).slice()),
+        sampleRate: buffer.sampleRate,
+    }
+
+    if (typeof Worker === 'undefined') return computeSpectrogram(job)
+    return analyzeInWorker(job)
+}
+
+const spectrogramCache = new Map()
+
+// Spectrogram of a media URL, or null if it can't be decoded
+export const loadSpectrogram = (url) => {
+    if (!spectrogramCache.has(url)) {
+        spectrogramCache.set(url, decodeMedia(url)
+            .then(analyzeBuffer)
+            .catch(() => null))
+    }
+    return spectrogramCache.get(url)
+}
+
+// ---- Rendering ----
+
+// Frequency (Hz) at a 0 (bottom) … 1 (top) position on the axis
+export const frequencyAt = (position, scale, nyquist) => {
+    if (scale === 'log') {
+        const logMin = Math.log10(MIN_FREQUENCY)
+        return Math.pow(10, logMin + position * (Math.log10(nyquist) - logMin))
+    }
+    return position * nyquist
+}
+
+// Inverse of frequencyAt
+export const positionOf = (frequency, scale, nyquist) => {
+    if (scale === 'log') {
+        const logMin = Math.log10(MIN_FREQUENCY)
+        return (Math.log10(frequency) - logMin) / (Math.log10(nyquist) - logMin)
+    }
+    return frequency / nyquist
+}
+
+/**
+ * One column per frame, `height` rows; draw it scaled to the canvas width.
+ */
+export const renderSpectrogram = (spectrogram, { height, colormap = 'inferno', scale = 'log' }) => {
+    const { levels, frames, bins, sampleRate } = spectrogram
+    const nyquist = sampleRate / 2
+    const table = buildColormap(colormap)
+    const image = new ImageData(frames, height)
+
+    // Row → bin lookup (top row is the highest frequency)
+    const rowBins = Uint32Array.from({ length: height }, (_, row) => {
+        const frequency = frequencyAt(1 - (row + 0.5) / height, scale, nyquist)
+        return Math.min(bins - 1, Math.round((frequency / nyquist) * bins))
+    })
+
+    for (let row = 0; row < height; row++) {
+        const bin = rowBins[row]
+        for (let frame = 0; frame < frames; frame++) {
+            const color = levels[frame * bins + bin] * 3
+            const pixel = (row * frames + frame) * 4
+            image.data[pixel] = table[color]
+            image.data[pixel + 1] = table[color + 1]
+            image.data[pixel + 2] = table[color + 2]
+            image.data[pixel + 3] = 255
+        }
+    }
+    return image
+}
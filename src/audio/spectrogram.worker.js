@@ -0,0 +1,18 @@
+import { computeSpectrogram } from './spectrogramAnalysis'
+
+/**
+ * Spectrogram Worker - Runs the full-track STFT off the main thread
+ *
+ * Message from audio/spectrogram (channel buffers are transferred):
+ * - { channels, sampleRate }
+ *
+ * Replies once with { spectrogram } or { error }.
+ */
+self.onmessage = ({ data }) => {
+    try {
+        const spectrogram = computeSpectrogram(data)
+        self.postMessage({ spectrogram }, [spectrogram.levels.buffer])
+    } catch (err) {
+        self.postMessage({ error: err.message })
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Spectrogram Analysis
+ *
+ * The short-time Fourier transform behind the spectrogram view, on plain
+ * Float32Array channels so it can run in a worker (see spectrogram.worker.js):
+ * - Mono mix, Hann window, radix-2 FFT (2048 points ≈ 23 Hz bins at 48 kHz,
+ *   enough to separate sub-bass fundamentals)
+ * - Hop grows with track length so any file yields at most MAX_FRAMES
+ *   columns; levels are stored as 0–255 over a DYNAMIC_RANGE_DB window
+ */
+const FFT_SIZE = 2048
+const MIN_HOP = FFT_SIZE / 4
+const MAX_FRAMES = 1600
+const DYNAMIC_RANGE_DB = 96
+
+// ---- FFT ----
+
+const createFft = (size) => {
+    const bits = Math.log2(size)
+    const reversed = new Uint32Array(size)
+    for (let i = 0; i < size; i++) {
+        let r = 0
+        for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1)
+        reversed[i] = r
+    }
+    const cos = new Float64Array(size / 2)
+    const sin = new Float64Array(size / 2)
+    for (let i = 0; i < size / 2; i++) {
+        cos[i] = Math.cos((2 * Math.PI * i) / size)
+        sin[i] = -Math.sin((2 * Math.PI * i) / size)
+    }
+
+    // In place on (re, im)
+    return (re, im) => {
+        for (let i = 0; i < size; i++) {
+            const j = reversed[i]
+            if (j > i) {
+                const tr = re[i]
+                re[i] = re[j]
+                re[j] = tr
+                const ti = im[i]
+                im[i] = im[j]
+                im[j] = ti
+            }
+        }
+        for (let length = 2; length <= size; length *= 2) {
+            const half = length / 2
+            const step = size / length
+            for (let start = 0; start < size; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * step]
+                    const wi = sin[k * step]
+                    const a = start + k
+                    const b = a + half
+                    const tr = re[b] * wr - im[b] * wi
+                    const ti = re[b] * wi + im[b] * wr
+                    re[b] = re[a] - tr
+                    im[b] = im[a] - ti
+                    re[a] += tr
+                    im[a] += ti
+                }
+            }
+        }
+    }
+}
+
+// ---- Analysis ----
+
+const mixToMono = (channels) => {
+    const mono = new Float32Array(channels[0]?.length || 0)
+    channels.forEach((data) => {
+        for (let i = 0; i < data.length; i++) mono[i] += data[i] / channels.length
+    })
+    return mono
+}
+
+export const computeSpectrogram = ({ channels, sampleRate }) => {
+    const samples = mixToMono(channels)
+    const bins = FFT_SIZE / 2
+    const hop = Math.max(MIN_HOP, Math.ceil((samples.length - FFT_SIZE) / (MAX_FRAMES - 1)))
+    const frames = Math.max(1, Math.floor((samples.length - FFT_SIZE) / hop) + 1)
+
+    const window = Float64Array.from({ length: FFT_SIZE }, (_, i) => 0.5 * (1 - Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1))))
+    const windowSum = window.reduce((sum, value) => sum + value, 0)
+    const fft = createFft(FFT_SIZE)
+    const re = new Float64Array(FFT_SIZE)
+    const im = new Float64Array(FFT_SIZE)
+    const levels = new Uint8Array(frames * bins)
+
+    for (let frame = 0; frame < frames; frame++) {
+        const offset = frame * hop
+        for (let i = 0; i < FFT_SIZE; i++) {
+            re[i] = (samples[offset + i] || 0) * window[i]
+            im[i] = 0
+        }
+        fft(re, im)
+
+        for (let bin = 0; bin < bins; bin++) {
+            // Amplitude relative to a full-scale sine
+            const amplitude = (2 * Math.hypot(re[bin], im[bin])) / windowSum
+            const db = amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity
+            const level = (db + DYNAMIC_RANGE_DB) / DYNAMIC_RANGE_DB
+            levels[frame * bins + bin] = Math.max(0, Math.min(255, Math.round(level * 255)))
+        }
+    }
+
+    return {
+        levels,
+        frames,
+        bins,
+        sampleRate,
+        hopSeconds: hop / sampleRate,
+        duration: samples.length / sampleRate,
+    }
+}
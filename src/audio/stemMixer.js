@@ -0,0 +1,173 @@
+import { getAudioContext } from './audioContext'
+import { rampGain } from './crossfade'
+import { dbToGain } from './loudness'
+
+/**
+ * Stem Mixer Engine
+ *
+ * Plays decoded stems sample-locked: every stem is an AudioBufferSourceNode
+ * started at the same AudioContext time and offset, so they can never
+ * drift apart (media elements would).
+ *
+ * Graph: stem source → fader (GainNode) → mute/solo (GainNode) → master
+ *        master → duck (GainNode) → destination
+ *               ├→ splitter → analyser L / analyser R (master meter)
+ *               └→ analyser (summed, for spectrum displays)
+ *
+ * Sources are one-shot, so play/seek rebuild them; faders and mute/solo
+ * live on the persistent gain nodes and survive that.
+ */
+const START_LATENCY = 0.05 // seconds ahead, so every stem is scheduled in time
+const DUCK_TIME_CONSTANT = 0.08
+export const SILENT_DB = -60 // fader floor, treated as -∞
+
+const faderGain = (db) => (db <= SILENT_DB ? 0 : dbToGain(db))
+
+export const createStemMixer = (buffers, { onEnded } = {}) => {
+    const ctx = getAudioContext()
+    if (!ctx || buffers.length === 0) return null
+
+    const master = ctx.createGain()
+    const duck = ctx.createGain()
+    const splitter = ctx.createChannelSplitter(2)
+    const analysers = [ctx.createAnalyser(), ctx.createAnalyser()]
+    // Mono stems are spread to both sides, so the L/R meter always has two channels
+    master.channelCount = 2
+    master.channelCountMode = 'explicit'
+    master.connect(duck)
+    duck.connect(ctx.destination)
+    master.connect(splitter)
+    analysers.forEach((analyser, channel) => {
+        analyser.fftSize = 1024
+        splitter.connect(analyser, channel)
+    })
+    const spectrum = ctx.createAnalyser()
+    spectrum.fftSize = 2048
+    spectrum.smoothingTimeConstant = 0.8
+    master.connect(spectrum)
+
+    const channels = buffers.map((buffer) => {
+        const fader = ctx.createGain()
+        const gate = ctx.createGain() // mute / solo
+        fader.connect(gate)
+        gate.connect(master)
+        return { buffer, fader, gate, source: null, muted: false, soloed: false }
+    })
+
+    const duration = Math.max(...buffers.map((buffer) => buffer.duration))
+    let startedAt = 0 // context time that corresponds to offset 0
+    let pausedAt = 0
+    let playing = false
+
+    const stopSources = () => {
+        channels.forEach((channel) => {
+            if (!channel.source) return
+            channel.source.onended = null
+            channel.source.stop()
+            channel.source.disconnect()
+            channel.source = null
+        })
+    }
+
+    const getPosition = () => {
+        if (!playing) return pausedAt
+        // Sources start START_LATENCY ahead, so right after play() this would dip below 0
+        return Math.max(0, Math.min(duration, ctx.currentTime - startedAt))
+    }
+
+    const play = (offset = pausedAt) => {
+        stopSources()
+        const start = offset >= duration ? 0 : Math.max(0, offset) // From the end: start over
+        const when = ctx.currentTime + START_LATENCY
+
+        channels.forEach((channel) => {
+            if (start >= channel.buffer.duration) return // Shorter stem already over
+            const source = ctx.createBufferSource()
+            source.buffer = channel.buffer
+            source.connect(channel.fader)
+            source.start(when, start)
+            channel.source = source
+        })
+
+        // The longest stem decides when the mix has ended
+        const longest = channels.reduce((a, b) => (b.buffer.duration > a.buffer.duration ? b : a))
+        longest.source.onended = () => {
+            playing = false
+            pausedAt = 0
+            stopSources()
+            onEnded?.()
+        }
+
+        startedAt = when - start
+        playing = true
+    }
+
+    const pause = () => {
+        if (!playing) return
+        pausedAt = getPosition()
+        playing = false
+        stopSources()
+    }
+
+    const seek = (time) => {
+        if (playing) play(time)
+        else pausedAt = Math.max(0, Math.min(time, duration))
+    }
+
+    // Mute and solo combine into each stem's gate
+    const updateGates = () => {
+        const anySolo = channels.some((channel) => channel.soloed)
+        channels.forEach((channel) => {
+            const audible = !channel.muted && (!anySolo || channel.soloed)
+            rampGain(channel.gate.gain, audible ? 1 : 0, ctx)
+        })
+    }
+
+    const setFader = (index, db) => {
+        if (channels[index]) rampGain(channels[index].fader.gain, faderGain(db), ctx)
+    }
+
+    const setMuted = (index, muted) => {
+        if (!channels[index]) return
+        channels[index].muted = muted
+        updateGates()
+    }
+
+    const setSoloed = (index, soloed) => {
+        if (!channels[index]) return
+        channels[index].soloed = soloed
+        updateGates()
+    }
+
+    const setDuck = (level) => {
+        duck.gain.cancelScheduledValues(ctx.currentTime)
+        duck.gain.setTargetAtTime(level, ctx.currentTime, DUCK_TIME_CONSTANT)
+    }
+
+    const dispose = () => {
+        stopSources()
+        channels.forEach((channel) => {
+            channel.fader.disconnect()
+            channel.gate.disconnect()
+        })
+        master.disconnect()
+        duck.disconnect()
+        splitter.disconnect()
+    }
+
+    return {
+        duration,
+        analysers,
+        spectrum,
+        play,
+        pause,
+        seek,
+        getPosition,
+        isPlaying: () => playing,
+        setFader,
+        setMuted,
+        setSoloed,
+        setDuck,
+        dispose,
+    }
+}
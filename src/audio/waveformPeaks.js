@@ -0,0 +1,31 @@
+import peaksManifest from 'virtual:waveform-peaks'
+
+/**
+ * Waveform Peaks (client)
+ *
+ * Loads the peaks JSON emitted by plugins/waveformPeaks for an audio path.
+ * Shape: { duration, sampleRate, levels: [{ buckets, peaks: [min, max, …] }] }
+ * with peaks quantized to -127…127.
+ */
+const requests = new Map()
+
+export const hasPeaks = (audioSrc) => Boolean(peaksManifest[audioSrc])
+
+export const loadPeaks = (audioSrc) => {
+    const url = peaksManifest[audioSrc]
+    if (!url) return Promise.resolve(null)
+
+    if (!requests.has(url)) {
+        requests.set(url, fetch(url)
+            .then((response) => (response.ok ? response.json() : null))
+            .catch(() => null))
+    }
+    return requests.get(url)
+}
+
+// Coarsest level that still has at least one bucket per pixel
+export const pickLevel = (peaks, pixelWidth) => {
+    if (!peaks?.levels?.length) return null
+    return peaks.levels.find((level) => level.buckets >= pixelWidth)
+        || peaks.levels[peaks.levels.length - 1]
+}
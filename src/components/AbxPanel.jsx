@@ -0,0 +1,243 @@
+import { useEffect, useId, useRef, useState } from 'react'
+import { drawX, binomialPValue, SIGNIFICANCE } from '../audio/abx'
+import { measureLoudness, matchingGains, dbToGain } from '../audio/loudness'
+import { useUISound } from '../audio/UISound'
+import { usePlaybackSource } from '../playback/PlaybackCoordinator'
+import { usePreferences } from '../preferences/Preferences'
+import { useI18n } from '../i18n/I18n'
+import './AbxPanel.css'
+
+/**
+ * AbxPanel - Blind ABX listening test
+ *
+ * Features:
+ * - Listener auditions A, B and a hidden X, then answers "X is A / X is B"
+ * - X is re-drawn at random on every trial
+ * - Configurable number of trials, exact binomial p-value at the end
+ * - Works with any player via `onAudition(side)` (e.g. ComparePlayer's
+ *   blindSource), or self-contained with two audio files via `sources`
+ * - Self-contained mode keeps both files running in sync and level-matched,
+ *   switching by mute (re-synced on every switch) so the play position never
+ *   jumps, and registered with the playback coordinator like any other
+ *   transmission (with data saver on, the files only load once the first
+ *   audition starts)
+ */
+const TRIAL_OPTIONS = [5, 10, 16, 20]
+const P_VALUE_FORMAT = { minimumFractionDigits: 3, maximumFractionDigits: 3 }
+
+const AbxPanel = ({ trials = 10, sources, onAudition, onClose }) => {
+    const [phase, setPhase] = useState('setup') // setup | running | done
+    const [trialCount, setTrialCount] = useState(trials)
+    const [x, setX] = useState(null)
+    const [answers, setAnswers] = useState([])
+    const [listeningTo, setListeningTo] = useState(null) // 'A' | 'B' | 'X'
+    const audioARef = useRef(null)
+    const audioBRef = useRef(null)
+    const { play: playSound } = useUISound()
+    const { preferences } = usePreferences()
+    const { t, formatNumber } = useI18n()
+    const preload = preferences.dataSaver ? 'none' : 'auto'
+
+    const hasOwnAudio = Boolean(sources?.A && sources?.B)
+
+    // Another transmission started: stop auditioning
+    const playback = usePlaybackSource(`abx-${useId()}`, {
+        pause: () => {
+            if (!hasOwnAudio) return // Auditions through a player are its owner's job
+            audioARef.current?.pause()
+            audioBRef.current?.pause()
+            setListeningTo(null)
+        },
+    })
+
+    // Level-match the self-contained pair by turning the louder file down
+    useEffect(() => {
+        if (!hasOwnAudio) return
+        let cancelled = false
+
+        Promise.all([measureLoudness(sources.A), measureLoudness(sources.B)]).then(([loudnessA, loudnessB]) => {
+            const gains = matchingGains(loudnessA, loudnessB)
+            if (cancelled || !gains) return
+            if (audioARef.current) audioARef.current.volume = dbToGain(gains.gainA)
+            if (audioBRef.current) audioBRef.current.volume = dbToGain(gains.gainB)
+        })
+
+        return () => {
+            cancelled = true
+        }
+    }, [hasOwnAudio, sources?.A, sources?.B])
+
+    // Route the real source (A or B) to whatever is playing
+    const routeTo = (side) => {
+        if (onAudition) onAudition(side)
+        if (!hasOwnAudio) return
+
+        const audioA = audioARef.current
+        const audioB = audioBRef.current
+        if (!audioA || !audioB) return
+
+        if (side === null) {
+            audioA.pause()
+            audioB.pause()
+            playback.release()
+            return
+        }
+
+        playback.claim()
+
+        // Both run in lockstep; only the mute flag changes between sides.
+        // Every switch re-seeks the side going silent to the one being heard,
+        // so the pair can't drift apart over a long trial
+        const [heard, silent] = side === 'A' ? [audioA, audioB] : [audioB, audioA]
+        silent.currentTime = heard.currentTime
+        audioA.muted = side !== 'A'
+        audioB.muted = side !== 'B'
+        audioA.play().catch(() => { })
+        audioB.play().catch(() => { })
+    }
+
+    // Stop playback when the panel goes away (unmount only)
+    useEffect(() => {
+        return () => {
+            if (onAudition) onAudition(null)
+            audioARef.current?.pause()
+            audioBRef.current?.pause()
+        }
+    }, [])
+
+    const audition = (choice) => {
+        playSound('click')
+        setListeningTo(choice)
+        routeTo(choice === 'X' ? x : choice)
+    }
+
+    const startTest = () => {
+        playSound('click')
+        setAnswers([])
+        setX(drawX())
+        setListeningTo(null)
+        setPhase('running')
+    }
+
+    const answer = (guess) => {
+        playSound('click')
+        const nextAnswers = [...answers, { x, guess, correct: guess === x }]
+        setAnswers(nextAnswers)
+        setListeningTo(null)
+        routeTo(null)
+
+        if (nextAnswers.length >= trialCount) {
+            setPhase('done')
+        } else {
+            setX(drawX())
+        }
+    }
+
+    const correct = answers.filter((result) => result.correct).length
+    const pValue = binomialPValue(correct, answers.length)
+    const isSignificant = pValue < SIGNIFICANCE
+
+    return (
+        <div className="abx-panel" onClick={(e) => e.stopPropagation()}>
+            {hasOwnAudio && (
+                <>
+                    <audio ref={audioARef} src={sources.A} preload={preload} loop />
+                    <audio ref={audioBRef} src={sources.B} preload={preload} loop />
+                </>
+            )}
+
+            <div className="abx-header">
+                <span className="abx-title">{t('abx.title')}</span>
+                {phase === 'running' && (
+                    <span className="abx-progress">
+                        {t('abx.trialProgress', { current: answers.length + 1, count: trialCount })}
+                    </span>
+                )}
+                {onClose && (
+                    <button type="button" className="abx-close" onClick={onClose} aria-label={t('abx.close')}>
+                        ×
+                    </button>
+                )}
+            </div>
+
+            {phase === 'setup' && (
+                <div className="abx-body">
+                    <p className="abx-intro">{t('abx.intro')}</p>
+                    <div className="abx-trial-options" role="group" aria-label={t('abx.trialCount')}>
+                        {TRIAL_OPTIONS.map((option) => (
+                            <button
+                                key={option}
+                                type="button"
+                                className={`abx-option ${trialCount === option ? 'active' : ''}`}
+                                onClick={() => setTrialCount(option)}
+                                aria-pressed={trialCount === option}
+                            >
+                                {formatNumber(option)}
+                            </button>
+                        ))}
+                    </div>
+                    <button type="button" className="btn btn-primary abx-start" onClick={startTest}>
+                        {t('abx.start', { count: trialCount })}
+                    </button>
+                </div>
+            )}
+
+            {phase === 'running' && (
+                <div className="abx-body">
+                    <div className="abx-sources" role="group" aria-label={t('abx.audition')}>
+                        {['A', 'B', 'X'].map((choice) => (
+                            <button
+                                key={choice}
+                                type="button"
+                                className={`abx-source ${listeningTo === choice ? 'active' : ''}`}
+                                onClick={() => audition(choice)}
+                                aria-pressed={listeningTo === choice}
+                            >
+                                {choice}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="abx-answers">
+                        <button type="button" className="btn btn-ghost" onClick={() => answer('A')}>
+                            {t('abx.xIsA')}
+                        </button>
+                        <button type="button" className="btn btn-ghost" onClick={() => answer('B')}>
+                            {t('abx.xIsB')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {phase === 'done' && (
+                <div className="abx-body">
+                    <div className="abx-score">
+                        <strong className="abx-score-value">{formatNumber(correct)} / {formatNumber(answers.length)}</strong>
+                        <span className="abx-score-label">{t('abx.correct')}</span>
+                    </div>
+                    <div className="abx-stats">
+                        <span>
+                            {pValue < 0.001
+                                ? t('abx.pValueBelow', { value: formatNumber(0.001, P_VALUE_FORMAT) })
+                                : t('abx.pValue', { value: formatNumber(pValue, P_VALUE_FORMAT) })}
+                        </span>
+                        <span className={`abx-verdict ${isSignificant ? 'significant' : ''}`}>
+                            {t(isSignificant ? 'abx.significant' : 'abx.notSignificant')}
+                        </span>
+                    </div>
+                    <ol className="abx-history">
+                        {answers.map((result, i) => (
+                            <li key={i} className={result.correct ? 'correct' : 'wrong'}>
+                                {result.correct ? '✓' : '✗'} X={result.x}
+                            </li>
+                        ))}
+                    </ol>
+                    <button type="button" className="btn btn-ghost abx-start" onClick={startTest}>
+                        {t('abx.runAgain')}
+                    </button>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default AbxPanel
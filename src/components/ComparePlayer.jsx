@@ -1,4 +1,15 @@
 import { useRef, useState, useEffect, useImperativeHandle, forwardRef, useCallback } from 'react'
+import { getAudioContext, resumeAudioContext } from '../audio/audioContext'
+import { connectMediaElement, getMediaChain, duckMediaElement, setElementVolume } from '../audio/mediaGraph'
+import { crossfadeGains, rampGain, DEFAULT_CROSSFADE_CURVE } from '../audio/crossfade'
+import { measureLoudness, matchingGains, dbToGain } from '../audio/loudness'
+import { createVideoSync } from '../playback/videoSync'
+import { frameIndex, frameTime } from '../playback/timecode'
+import { usePreferences } from '../preferences/Preferences'
+import { useI18n } from '../i18n/I18n'
+import CompareTransport from './CompareTransport'
+import LiveRegion, { useAnnouncer } from './LiveRegion'
+import VisualPlaceholder from './VisualPlaceholder'
 import './ComparePlayer.css'
 
 /**
@@ -7,57 +18,143 @@ import './ComparePlayer.css'
  * Features:
  * - Touch + Mouse slider support for mobile and desktop
  * - Slider controls visual clip-path reveal AND audio cross-fade
- * - Videos stay synced (play/pause together)
- * - Exposes audio control via ref for parent component
- * - Poster images prevent black screen on mobile
+ * - Layout modes: horizontal wipe, vertical wipe, side-by-side split,
+ *   onion-skin blend and difference view (labels + handle adapt per mode)
+ * - Both soundtracks run through Web Audio gain nodes with a selectable
+ *   crossfade curve (equal-power by default, linear, or hard cut)
+ * - Loudness matching: both soundtracks are measured (BS.1770, K-weighted)
+ *   on first play and the louder side is turned down; toggle for raw levels
+ * - Blind mode (`blindSource`): labels/divider hidden, one neutral picture,
+ *   audio hard-switched to the given side, always level-matched (ABX)
+ * - Videos stay synced (play/pause together) via a frame-accurate sync
+ *   engine: playbackRate nudging, hard seeks only on large drift
+ * - Optional sync debug overlay showing drift in frames
+ * - Transport under the player: synced scrubbing, frame stepping,
+ *   A–B loop region, 0.25×–2× playback rate and cue markers
+ * - Keyboard: the divider is a focusable slider (arrows, Shift for 10%,
+ *   PageUp/PageDown, Home/End); play state is announced to screen readers
+ * - Exposes audio + transport control via ref for parent component, and
+ *   reports divider/position changes (deep links keep them in the URL)
+ * - Optional poster images (`posterA` / `posterB`) prevent a black screen on
+ *   mobile; without one, each side shows a labelled placeholder until it loads
+ * - Honors the visitor's preferences: no autoplay when it's off, and with
+ *   data saver only the posters load until play is pressed
+ * - Labels, announcements and timecode in the visitor's language
  */
-const ComparePlayer = forwardRef(({ srcA, srcB, posterA = '/images/spec_organic.jpeg', posterB = '/images/spec_synthetic.jpeg' }, ref) => {
+// Layout modes: which axis the divider follows and whether it wipes
+export const COMPARE_MODES = {
+    horizontal: { axis: 'x', wipe: true },
+    vertical: { axis: 'y', wipe: true },
+    split: { axis: 'x', wipe: false },
+    onion: { axis: 'x', wipe: false },
+    difference: { axis: 'x', wipe: false },
+}
+
+// Add ?syncdebug to the page URL to show the drift overlay on every player
+const SYNC_DEBUG_FROM_URL = typeof window !== 'undefined'
+    && new URLSearchParams(window.location.search).has('syncdebug')
+
+// Style for the top video (B / Reality) at a given slider value
+const getTopLayerStyle = (mode, value) => {
+    switch (mode) {
+        case 'vertical':
+            return { clipPath: `inset(0 0 ${100 - value}% 0)` }
+        case 'onion':
+            return { opacity: value / 100 }
+        case 'split':
+        case 'difference':
+            return {}
+        default:
+            return { clipPath: `inset(0 ${100 - value}% 0 0)` }
+    }
+}
+
+const ComparePlayer = forwardRef(({
+    srcA,
+    srcB,
+    posterA, // Stills shown until the videos play (optional)
+    posterB,
+    mode = 'horizontal',
+    blindSource = null, // 'A' | 'B' while a blind ABX test is running
+    frameRate = 30, // Source frame rate, used for sync tolerance and debug readout
+    showSyncDebug = SYNC_DEBUG_FROM_URL,
+    showTransport = true,
+    autoPlay: autoPlayProp = true, // Muted autoplay on mount (off when restoring a paused state)
+    crossfadeCurve = DEFAULT_CROSSFADE_CURVE,
+    onSplitChange, // (value) after the visitor moves the divider
+    onTimeChange, // (seconds) after the visitor seeks, steps or pauses
+    cues, // Cue points shown on the transport timeline (see playback/cues)
+    onCueChange, // (index) as playback passes a cue
+    loudnessA, // Optional pre-measured LUFS, skips in-browser analysis
+    loudnessB
+}, ref) => {
+    const { preferences, shouldAutoplay } = usePreferences()
+    const { t, formatNumber, formatTimecode } = useI18n()
+    const autoPlay = autoPlayProp && shouldAutoplay
+    const preload = preferences.dataSaver ? 'none' : 'auto'
     const [sliderValue, setSliderValue] = useState(50)
     const [isPlaying, setIsPlaying] = useState(false)
     const [isMuted, setIsMuted] = useState(true)
     const [isDragging, setIsDragging] = useState(false)
+    const [levels, setLevels] = useState({ status: 'idle' }) // idle | measuring | ready | unavailable
+    const [isLevelMatched, setIsLevelMatched] = useState(true)
+    const [syncReport, setSyncReport] = useState(null)
+    const [loopIn, setLoopIn] = useState(null)
+    const [loopOut, setLoopOut] = useState(null)
+    const [playbackRate, setPlaybackRateState] = useState(1)
+    const [hasFrame, setHasFrame] = useState({ A: false, B: false }) // first frame decoded, per side
+    const [announcement, announce] = useAnnouncer()
     const videoARef = useRef(null)
     const videoBRef = useRef(null)
     const containerRef = useRef(null)
     const rafRef = useRef(null) // For requestAnimationFrame throttling
+    const hasAnnouncedRef = useRef(false)
+    const callbacksRef = useRef({ onSplitChange, onTimeChange })
+    callbacksRef.current = { onSplitChange, onTimeChange }
+
+    const layout = COMPARE_MODES[mode] ? mode : 'horizontal'
+    const { axis, wipe } = COMPARE_MODES[layout]
+    const isBlind = blindSource === 'A' || blindSource === 'B'
 
-    // Calculate position from mouse or touch event
-    const calculatePosition = useCallback((clientX) => {
+    // Calculate position from mouse or touch event (along the mode's axis)
+    const calculatePosition = useCallback(({ clientX, clientY }) => {
         const container = containerRef.current
         if (!container) return 50
 
         const rect = container.getBoundingClientRect()
-        const x = clientX - rect.left
-        const percentage = (x / rect.width) * 100
+        const percentage = axis === 'y'
+            ? ((clientY - rect.top) / rect.height) * 100
+            : ((clientX - rect.left) / rect.width) * 100
 
         // Clamp between 0 and 100
         return Math.max(0, Math.min(100, percentage))
-    }, [])
+    }, [axis])
 
     // Throttled position update using requestAnimationFrame
-    const updateSliderPosition = useCallback((clientX) => {
+    const updateSliderPosition = useCallback((point) => {
         if (rafRef.current) return // Skip if a frame is already pending
 
+        const { clientX, clientY } = point
         rafRef.current = requestAnimationFrame(() => {
-            const position = calculatePosition(clientX)
+            const position = calculatePosition({ clientX, clientY })
             setSliderValue(position)
+            callbacksRef.current.onSplitChange?.(position)
             rafRef.current = null
         })
     }, [calculatePosition])
 
     // Touch event handlers
     const handleTouchStart = useCallback((e) => {
+        if (isBlind || e.target.closest('.compare-level-badge')) return
         e.preventDefault()
         setIsDragging(true)
-        const touch = e.touches[0]
-        updateSliderPosition(touch.clientX)
-    }, [updateSliderPosition])
+        updateSliderPosition(e.touches[0])
+    }, [isBlind, updateSliderPosition])
 
     const handleTouchMove = useCallback((e) => {
         if (!isDragging) return
         e.preventDefault()
-        const touch = e.touches[0]
-        updateSliderPosition(touch.clientX)
+        updateSliderPosition(e.touches[0])
     }, [isDragging, updateSliderPosition])
 
     const handleTouchEnd = useCallback(() => {
@@ -66,15 +163,16 @@ const ComparePlayer = forwardRef(({ srcA, srcB, posterA = '/images/spec_organic.
 
     // Mouse event handlers (for desktop)
     const handleMouseDown = useCallback((e) => {
+        if (isBlind) return
         if (e.target.closest('.compare-divider') || e.target.classList.contains('compare-slider')) {
             setIsDragging(true)
-            updateSliderPosition(e.clientX)
+            updateSliderPosition(e)
         }
-    }, [updateSliderPosition])
+    }, [isBlind, updateSliderPosition])
 
     const handleMouseMove = useCallback((e) => {
         if (!isDragging) return
-        updateSliderPosition(e.clientX)
+        updateSliderPosition(e)
     }, [isDragging, updateSliderPosition])
 
     const handleMouseUp = useCallback(() => {
@@ -107,22 +205,142 @@ const ComparePlayer = forwardRef(({ srcA, srcB, posterA = '/images/spec_organic.
         }
     }, [])
 
-    // Expose audio control methods to parent via ref
+    // Measure both soundtracks once and derive level-matching gains
+    const measureLevels = useCallback(() => {
+        setLevels({ status: 'measuring' })
+
+        Promise.all([
+            Number.isFinite(loudnessA) ? loudnessA : measureLoudness(srcA),
+            Number.isFinite(loudnessB) ? loudnessB : measureLoudness(srcB),
+        ]).then(([measuredA, measuredB]) => {
+            const gains = matchingGains(measuredA, measuredB)
+            setLevels(gains ? { status: 'ready', ...gains } : { status: 'unavailable' })
+        })
+    }, [srcA, srcB, loudnessA, loudnessB])
+
+    // Route both videos through Web Audio (call from a user gesture)
+    const routeAudio = useCallback(() => {
+        connectMediaElement(videoARef.current)
+        connectMediaElement(videoBRef.current)
+        resumeAudioContext()
+        if (levels.status === 'idle') measureLevels()
+    }, [levels.status, measureLevels])
+
+    // ---- Transport ----
+
+    // Seek both videos together (B is the master clock)
+    const seekBoth = useCallback((time) => {
+        const videoA = videoARef.current
+        const videoB = videoBRef.current
+        if (!videoA || !videoB) return
+
+        const duration = Number.isFinite(videoB.duration) ? videoB.duration : time
+        const target = Math.max(0, Math.min(duration, time))
+        videoB.currentTime = target
+        videoA.currentTime = target
+    }, [])
+
+    const stepFrame = useCallback((direction) => {
+        const videoB = videoBRef.current
+        if (!videoB) return
+
+        setIsPlaying(false)
+        videoB.pause()
+        videoARef.current?.pause()
+        const target = frameTime(frameIndex(videoB.currentTime, frameRate) + direction, frameRate)
+        seekBoth(target)
+        callbacksRef.current.onTimeChange?.(target)
+    }, [frameRate, seekBoth])
+
+    const handleTransportSeek = useCallback((time) => {
+        seekBoth(time)
+        callbacksRef.current.onTimeChange?.(time)
+    }, [seekBoth])
+
+    const loop = loopIn !== null && loopOut !== null && loopOut > loopIn
+        ? { start: loopIn, end: loopOut }
+        : null
+
+    const setLoop = useCallback((start, end) => {
+        setLoopIn(start)
+        setLoopOut(end)
+    }, [])
+
+    const clearLoop = useCallback(() => setLoop(null, null), [setLoop])
+
+    // Set a loop point at the playhead; an out point before the in point swaps them
+    const setLoopPoint = useCallback((point) => {
+        const time = videoBRef.current?.currentTime ?? 0
+        if (point === 'in') {
+            setLoopIn(time)
+            if (loopOut !== null && loopOut <= time) setLoopOut(null)
+        } else if (loopIn !== null && time < loopIn) {
+            setLoop(time, loopIn)
+        } else {
+            setLoopOut(time)
+            if (loopIn === null) setLoopIn(0)
+        }
+    }, [loopIn, loopOut, setLoop])
+
+    const setPlaybackRate = useCallback((rate) => {
+        const videoB = videoBRef.current
+        if (videoB) videoB.playbackRate = rate // Sync engine carries A along
+        setPlaybackRateState(rate)
+    }, [])
+
+    // Announce play state changes (not the initial autoplay)
+    useEffect(() => {
+        if (!hasAnnouncedRef.current) {
+            hasAnnouncedRef.current = true
+            return
+        }
+        const currentTime = videoBRef.current?.currentTime ?? 0
+        announce(isPlaying
+            ? t('compare.announce.playing')
+            : t('compare.announce.pausedAt', { timecode: formatTimecode(currentTime, frameRate) }))
+        if (!isPlaying) callbacksRef.current.onTimeChange?.(currentTime)
+    }, [isPlaying])
+
+    useEffect(() => {
+        if (loop) {
+            announce(t('compare.announce.loop', {
+                start: formatTimecode(loop.start, frameRate),
+                end: formatTimecode(loop.end, frameRate),
+            }))
+        }
+    }, [loop?.start, loop?.end])
+
+    // Enforce the loop region while playing
+    useEffect(() => {
+        if (!loop || !isPlaying) return
+
+        let frame = null
+        const check = () => {
+            const videoB = videoBRef.current
+            if (videoB && (videoB.currentTime >= loop.end || videoB.currentTime < loop.start - 0.05)) {
+                seekBoth(loop.start)
+            }
+            frame = requestAnimationFrame(check)
+        }
+        check()
+
+        return () => cancelAnimationFrame(frame)
+    }, [loop?.start, loop?.end, isPlaying, seekBoth])
+
+    // Expose audio + transport control methods to parent via ref
     useImperativeHandle(ref, () => ({
         toggleMuted: () => {
             const videoA = videoARef.current
             const videoB = videoBRef.current
             const newMuted = !isMuted
 
-            // Simulation (A) always stays muted - it's silent
-            // Reality (B) is the audio source
-            if (videoA) {
-                videoA.muted = true // Always muted
-                videoA.play().catch(() => { })
-            }
-            if (videoB) {
-                videoB.muted = newMuted // Toggle audio on Reality
-                videoB.play().catch(() => { })
+            routeAudio()
+
+            // Both soundtracks play; the crossfade gains decide what's heard
+            for (const video of [videoA, videoB]) {
+                if (!video) continue
+                video.muted = newMuted
+                video.play().catch(() => { })
             }
 
             setIsMuted(newMuted)
@@ -137,27 +355,51 @@ const ComparePlayer = forwardRef(({ srcA, srcB, posterA = '/images/spec_organic.
             const videoA = videoARef.current
             const videoB = videoBRef.current
             if (videoA && videoB) {
-                videoA.muted = true // Simulation always muted
+                routeAudio()
                 videoA.play().catch(() => { })
                 videoB.play().catch(() => { })
                 setIsPlaying(true)
             }
-        }
+        },
+        play: () => setIsPlaying(true),
+        pause: () => setIsPlaying(false),
+        seek: seekBoth,
+        stepFrame,
+        setSplit: (value) => setSliderValue(Math.max(0, Math.min(100, value))),
+        setLoop,
+        clearLoop,
+        setPlaybackRate,
+        // Playback coordinator: turn both soundtracks down while another source plays
+        duck: (level) => {
+            duckMediaElement(videoARef.current, level)
+            duckMediaElement(videoBRef.current, level)
+        },
+        // Both soundtracks' analysers (the crossfade decides which one is heard)
+        getAnalysers: () => [videoARef.current, videoBRef.current].map((video) => getMediaChain(video)?.analyser),
+        getState: () => ({
+            currentTime: videoBRef.current?.currentTime ?? 0,
+            duration: videoBRef.current?.duration ?? 0,
+            isPlaying,
+            isMuted,
+            playbackRate,
+            loop,
+            sliderValue,
+        })
     }))
 
     // Video Sync Lock: Reality (B) is master, Simulation (A) follows
-    const handleTimeUpdate = useCallback(() => {
+    useEffect(() => {
         const videoA = videoARef.current
         const videoB = videoBRef.current
+        if (!videoA || !videoB) return
 
-        if (videoA && videoB) {
-            const drift = Math.abs(videoA.currentTime - videoB.currentTime)
-            // Only sync if drift is noticeable (>0.3s) to avoid fighting during buffering
-            if (drift > 0.3) {
-                videoA.currentTime = videoB.currentTime // A syncs to B (Reality is master)
-            }
-        }
-    }, [])
+        const sync = createVideoSync(videoB, videoA, {
+            frameRate,
+            onReport: showSyncDebug ? setSyncReport : undefined,
+        })
+        sync.start()
+        return () => sync.stop()
+    }, [srcA, srcB, frameRate, showSyncDebug])
 
     // Handle play/pause sync
     useEffect(() => {
@@ -179,26 +421,45 @@ const ComparePlayer = forwardRef(({ srcA, srcB, posterA = '/images/spec_organic.
     useEffect(() => {
         const videoA = videoARef.current
         const videoB = videoBRef.current
+        if (!videoA || !videoB) return
 
-        if (videoA && videoB && !isMuted) {
-            const safeValue = isNaN(sliderValue) ? 50 : sliderValue
-            const realityVolume = safeValue / 100
-            const simulationVolume = 1 - realityVolume
-
-            videoA.volume = simulationVolume
-            videoB.volume = realityVolume
+        const safeValue = isNaN(sliderValue) ? 50 : sliderValue
+        // Slider at 100 reveals all of Reality (B)
+        // Blind tests ignore the slider and hard-switch to one side
+        const [fadeA, fadeB] = isBlind
+            ? (blindSource === 'A' ? [1, 0] : [0, 1])
+            : crossfadeGains(safeValue / 100, crossfadeCurve)
+
+        // Level-matching compensation on top of the crossfade (forced on for blind tests)
+        const isCompensated = (isLevelMatched || isBlind) && levels.status === 'ready'
+        const simulationGain = fadeA * (isCompensated ? dbToGain(levels.gainA) : 1)
+        const realityGain = fadeB * (isCompensated ? dbToGain(levels.gainB) : 1)
+
+        videoA.muted = isMuted
+        videoB.muted = isMuted
+
+        const chainA = getMediaChain(videoA)
+        const chainB = getMediaChain(videoB)
+        const ctx = getAudioContext()
+
+        if (chainA && chainB && ctx) {
+            videoA.volume = 1
+            videoB.volume = 1
+            rampGain(chainA.output.gain, simulationGain, ctx)
+            rampGain(chainB.output.gain, realityGain, ctx)
+        } else {
+            // No Web Audio: fall back to element volume with the same curve
+            setElementVolume(videoA, simulationGain)
+            setElementVolume(videoB, realityGain)
         }
-    }, [sliderValue, isMuted])
+    }, [sliderValue, isMuted, crossfadeCurve, levels, isLevelMatched, isBlind, blindSource])
 
     // Auto-play on mount
     useEffect(() => {
         const videoA = videoARef.current
         const videoB = videoBRef.current
 
-        if (videoA && videoB) {
-            videoA.volume = 0.5
-            videoB.volume = 0.5
-
+        if (autoPlay && videoA && videoB) {
             const playVideos = () => {
                 videoA.play().catch(() => { })
                 videoB.play().catch(() => { })
@@ -206,112 +467,226 @@ const ComparePlayer = forwardRef(({ srcA, srcB, posterA = '/images/spec_organic.
             }
 
             playVideos()
-            setTimeout(playVideos, 100)
+            const retry = setTimeout(playVideos, 100)
+            return () => clearTimeout(retry)
         }
     }, [])
 
     const handleSliderChange = (e) => {
         e.stopPropagation()
         setSliderValue(Number(e.target.value))
+        onSplitChange?.(Number(e.target.value))
+    }
+
+    // Arrow keys follow the divider's axis: ↓ moves a vertical wipe down
+    const handleSliderKeyDown = (e) => {
+        const step = e.shiftKey ? 10 : 1
+        const forward = axis === 'y' ? 'ArrowDown' : 'ArrowRight'
+        const backward = axis === 'y' ? 'ArrowUp' : 'ArrowLeft'
+        const targets = {
+            [forward]: sliderValue + step,
+            [backward]: sliderValue - step,
+            PageUp: sliderValue + 10,
+            PageDown: sliderValue - 10,
+            Home: 0,
+            End: 100,
+        }
+        if (!(e.key in targets)) return
+
+        e.preventDefault()
+        e.stopPropagation()
+        const value = Math.max(0, Math.min(100, targets[e.key]))
+        setSliderValue(value)
+        onSplitChange?.(value)
+    }
+
+    const toggleLevelMatch = (e) => {
+        e.stopPropagation()
+        setIsLevelMatched((matched) => !matched)
     }
 
     const togglePlayback = (e) => {
-        if (isDragging || e.target.classList.contains('compare-slider')) return
+        if (isDragging || e.target.classList.contains('compare-slider') || e.target.closest('.compare-divider')) return
         setIsPlaying(!isPlaying)
     }
 
     // Safe slider value (never NaN or undefined)
     const safeSliderValue = isNaN(sliderValue) || sliderValue === undefined ? 50 : sliderValue
 
-    // Calculate clip-path for top video (srcB / Reality)
-    const clipPercentage = 100 - safeSliderValue
-    const clipPath = `inset(0 ${clipPercentage}% 0 0)`
+    // Top video (srcB / Reality) style and divider placement for this mode
+    const topLayerStyle = isBlind ? {} : getTopLayerStyle(layout, safeSliderValue)
+    const dividerStyle = axis === 'y' ? { top: `${safeSliderValue}%` } : { left: `${safeSliderValue}%` }
+
+    // Onion-skin: labels fade with the blend
+    const labelOpacity = layout === 'onion'
+        ? { left: 1 - safeSliderValue / 200, right: 0.5 + safeSliderValue / 200 }
+        : { left: 1, right: 1 }
 
     return (
-        <div
-            ref={containerRef}
-            className="compare-player"
-            style={{ touchAction: 'none' }}
-            onClick={togglePlayback}
-            onMouseDown={handleMouseDown}
-            onTouchStart={handleTouchStart}
-        >
-            {/* Bottom Video (A - Simulation) - Always muted, syncs to Reality */}
-            <video
-                ref={videoARef}
-                className="compare-video compare-video-bottom"
-                src={srcA}
-                poster={posterA}
-                autoPlay
-                loop
-                muted
-                playsInline
-                webkit-playsinline="true"
-                preload="auto"
-            />
-
-            {/* Top Video (B - Reality) - Audio source, time master */}
-            <video
-                ref={videoBRef}
-                className="compare-video compare-video-top"
-                src={srcB}
-                poster={posterB}
-                style={{ clipPath }}
-                autoPlay
-                loop
-                muted
-                playsInline
-                webkit-playsinline="true"
-                preload="auto"
-                onTimeUpdate={handleTimeUpdate}
-            />
-
-            {/* Divider Line */}
+        <div className="compare-shell">
             <div
-                className="compare-divider"
-                style={{ left: `${safeSliderValue}%` }}
+                ref={containerRef}
+                className={`compare-player compare-mode-${layout} ${isBlind ? 'compare-blind' : ''}`}
+                style={{ touchAction: 'none' }}
+                onClick={togglePlayback}
+                onMouseDown={handleMouseDown}
+                onTouchStart={handleTouchStart}
             >
-                <div className="compare-divider-line" />
-                <div className="compare-divider-handle">
-                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <path d="M8 6l-4 6 4 6" />
-                        <path d="M16 6l4 6-4 6" />
-                    </svg>
+                {/* Video Stage (isolated so blend modes only mix the two layers) */}
+                <div className="compare-stage">
+                    {/* Bottom Video (A - Simulation) - Crossfaded soundtrack, syncs to Reality */}
+                    <video
+                        ref={videoARef}
+                        className="compare-video compare-video-bottom"
+                        src={srcA}
+                        poster={posterA}
+                        autoPlay={autoPlay}
+                        loop
+                        muted
+                        playsInline
+                        webkit-playsinline="true"
+                        preload={preload}
+                        onLoadedData={() => setHasFrame((current) => ({ ...current, A: true }))}
+                        onEmptied={() => setHasFrame((current) => ({ ...current, A: false }))}
+                    />
+                    <VisualPlaceholder
+                        className="compare-video compare-video-bottom"
+                        name={t('compare.simulation')}
+                        poster={posterA}
+                        hasFrame={hasFrame.A}
+                    />
+
+                    {/* Top Video (B - Reality) - Crossfaded soundtrack, time master */}
+                    <video
+                        ref={videoBRef}
+                        className="compare-video compare-video-top"
+                        src={srcB}
+                        poster={posterB}
+                        style={topLayerStyle}
+                        autoPlay={autoPlay}
+                        loop
+                        muted
+                        playsInline
+                        webkit-playsinline="true"
+                        preload={preload}
+                        onLoadedData={() => setHasFrame((current) => ({ ...current, B: true }))}
+                        onEmptied={() => setHasFrame((current) => ({ ...current, B: false }))}
+                    />
+                    <VisualPlaceholder
+                        className="compare-video compare-video-top"
+                        style={topLayerStyle}
+                        name={t('compare.reality')}
+                        poster={posterB}
+                        hasFrame={hasFrame.B}
+                    />
                 </div>
-            </div>
 
-            {/* Labels */}
-            <div className="compare-labels">
-                <span className="compare-label compare-label-left">SIMULATION</span>
-                <span className="compare-label compare-label-right">REALITY</span>
-            </div>
+                {/* Divider: wipe line for wipe modes, crossfade handle otherwise */}
+                <div
+                    className={`compare-divider ${wipe ? '' : 'compare-divider-balance'}`}
+                    style={dividerStyle}
+                >
+                    <div className="compare-divider-line" />
+                    <div className="compare-divider-handle">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M8 6l-4 6 4 6" />
+                            <path d="M16 6l4 6-4 6" />
+                        </svg>
+                    </div>
+                </div>
 
-            {/* Slider Control (invisible, for accessibility) */}
-            <input
-                type="range"
-                min="0"
-                max="100"
-                value={safeSliderValue}
-                onChange={handleSliderChange}
-                onClick={(e) => e.stopPropagation()}
-                className="compare-slider"
-                aria-label="Compare videos"
-            />
-
-            {/* Play/Pause Indicator */}
-            <div className={`compare-play-indicator ${isPlaying ? 'hidden' : ''}`}>
-                <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor">
-                    <polygon points="5 3 19 12 5 21 5 3" />
-                </svg>
-            </div>
+                {/* Labels */}
+                <div className="compare-labels">
+                    <span className="compare-label compare-label-left" style={{ opacity: labelOpacity.left }}>{t('compare.simulation')}</span>
+                    {layout === 'difference' && (
+                        <span className="compare-label compare-label-center">{t('compare.difference')}</span>
+                    )}
+                    <span className="compare-label compare-label-right" style={{ opacity: labelOpacity.right }}>{t('compare.reality')}</span>
+                </div>
 
-            {/* Audio Indicator */}
-            {!isMuted && (
-                <div className="audio-indicator">
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
-                        <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z" />
+                {/* Slider Control (invisible, for accessibility) */}
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    value={safeSliderValue}
+                    onChange={handleSliderChange}
+                    onKeyDown={handleSliderKeyDown}
+                    onClick={(e) => e.stopPropagation()}
+                    disabled={isBlind}
+                    className="compare-slider"
+                    aria-label={t(wipe ? 'compare.compareVideos' : 'compare.crossfade')}
+                    aria-orientation={axis === 'y' ? 'vertical' : 'horizontal'}
+                    aria-valuetext={t('compare.balance', {
+                        reality: Math.round(safeSliderValue),
+                        simulation: Math.round(100 - safeSliderValue),
+                    })}
+                />
+
+                {/* Play/Pause Indicator */}
+                <div className={`compare-play-indicator ${isPlaying ? 'hidden' : ''}`} aria-hidden="true">
+                    <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor">
+                        <polygon points="5 3 19 12 5 21 5 3" />
                     </svg>
                 </div>
+
+                {/* Level Match Badge (click to hear raw levels) */}
+                {!isMuted && !isBlind && levels.status !== 'idle' && levels.status !== 'unavailable' && (
+                    <button
+                        type="button"
+                        className={`compare-level-badge ${isLevelMatched ? 'matched' : 'raw'}`}
+                        onClick={toggleLevelMatch}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        disabled={levels.status === 'measuring'}
+                        aria-pressed={isLevelMatched}
+                        title={t(isLevelMatched ? 'compare.hearRaw' : 'compare.hearMatched')}
+                    >
+                        {levels.status === 'measuring'
+                            ? t('compare.measuring')
+                            : t(isLevelMatched ? 'compare.levelMatched' : 'compare.rawLevels', {
+                                difference: formatNumber(levels.difference, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+                            })}
+                    </button>
+                )}
+
+                {/* Sync Debug Overlay */}
+                {showSyncDebug && syncReport && (
+                    <div className="compare-sync-debug" aria-hidden="true">
+                        <span>SYNC Δ {syncReport.driftFrames >= 0 ? '+' : ''}{syncReport.driftFrames.toFixed(2)} f</span>
+                        <span>RATE ×{syncReport.followerRate.toFixed(3)}</span>
+                        <span>{syncReport.action.toUpperCase()} · {syncReport.clock}</span>
+                    </div>
+                )}
+
+                {/* Audio Indicator */}
+                {!isMuted && (
+                    <div className="audio-indicator">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z" />
+                        </svg>
+                    </div>
+                )}
+            </div>
+
+            <LiveRegion message={announcement} />
+
+            {showTransport && (
+                <CompareTransport
+                    videoRef={videoBRef}
+                    frameRate={frameRate}
+                    isPlaying={isPlaying}
+                    onTogglePlay={() => setIsPlaying((playing) => !playing)}
+                    onSeek={handleTransportSeek}
+                    onStep={stepFrame}
+                    loopIn={loopIn}
+                    loop={loop}
+                    onSetLoopPoint={setLoopPoint}
+                    onClearLoop={clearLoop}
+                    playbackRate={playbackRate}
+                    onRateChange={setPlaybackRate}
+                    cues={cues}
+                    onCueChange={onCueChange}
+                />
             )}
         </div>
     )
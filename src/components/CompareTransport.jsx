@@ -0,0 +1,262 @@
+import { useEffect, useRef, useState } from 'react'
+import { Play, Pause, SkipBack, SkipForward, Repeat, X } from 'lucide-react'
+import { PLAYBACK_RATES } from '../playback/timecode'
+import { activeCueIndex } from '../playback/cues'
+import { useUISound } from '../audio/UISound'
+import { useI18n } from '../i18n/I18n'
+import CueMarkers from './CueMarkers'
+import './CompareTransport.css'
+
+/**
+ * CompareTransport - Timeline and transport controls under ComparePlayer
+ *
+ * Features:
+ * - Timeline scrubbing (click or drag) that seeks both videos together
+ * - Frame-by-frame step buttons with m:ss:ff timecode readout
+ * - A–B loop region: set in/out points at the playhead, shown on the timeline
+ * - Playback rate selector (0.25× – 2×)
+ * - Cue point markers on the timeline (click to seek); reports the cue
+ *   playback has most recently passed
+ * - Keyboard timeline: ←/→ seek 1 s, Shift+←/→ step one frame, Home/End
+ *
+ * Reads time straight from the master video each animation frame, so only
+ * this component re-renders while playing.
+ */
+const CompareTransport = ({
+    videoRef,
+    frameRate = 30,
+    isPlaying,
+    onTogglePlay,
+    onSeek,
+    onStep,
+    loopIn = null, // Pending loop start, before the end is set
+    loop, // { start, end } once both points are set
+    onSetLoopPoint,
+    onClearLoop,
+    playbackRate = 1,
+    onRateChange,
+    cues = [], // Normalized cue points (see playback/cues)
+    onCueChange // (index) when playback passes into another cue, -1 before the first
+}) => {
+    const [currentTime, setCurrentTime] = useState(0)
+    const [duration, setDuration] = useState(0)
+    const [isScrubbing, setIsScrubbing] = useState(false)
+    const timelineRef = useRef(null)
+    const { play: playSound } = useUISound()
+    const { t, formatTimecode } = useI18n()
+    const activeCue = activeCueIndex(cues, currentTime)
+
+    useEffect(() => {
+        onCueChange?.(activeCue)
+    }, [activeCue])
+
+    // Follow the master video's clock
+    useEffect(() => {
+        const video = videoRef.current
+        if (!video) return
+
+        let frame = null
+        const update = () => {
+            setCurrentTime(video.currentTime)
+            if (Number.isFinite(video.duration)) setDuration(video.duration)
+        }
+        const tick = () => {
+            update()
+            frame = requestAnimationFrame(tick)
+        }
+
+        if (isPlaying) tick()
+        else update()
+
+        // Paused seeks (frame steps, scrubbing) still need a readout
+        video.addEventListener('seeked', update)
+        video.addEventListener('loadedmetadata', update)
+
+        return () => {
+            if (frame) cancelAnimationFrame(frame)
+            video.removeEventListener('seeked', update)
+            video.removeEventListener('loadedmetadata', update)
+        }
+    }, [videoRef, isPlaying])
+
+    const seekToClientX = (clientX) => {
+        const timeline = timelineRef.current
+        if (!timeline || duration === 0) return
+
+        const rect = timeline.getBoundingClientRect()
+        const percentage = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width))
+        onSeek(percentage * duration)
+        setCurrentTime(percentage * duration)
+    }
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId)
+        setIsScrubbing(true)
+        seekToClientX(e.clientX)
+    }
+
+    const handlePointerMove = (e) => {
+        if (isScrubbing) seekToClientX(e.clientX)
+    }
+
+    const handlePointerUp = (e) => {
+        if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+            e.currentTarget.releasePointerCapture(e.pointerId)
+        }
+        setIsScrubbing(false)
+    }
+
+    const handleTimelineKeyDown = (e) => {
+        if (duration === 0) return
+
+        if (e.shiftKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault()
+            e.stopPropagation()
+            onStep(e.key === 'ArrowLeft' ? -1 : 1)
+            return
+        }
+
+        const targets = {
+            ArrowLeft: currentTime - 1,
+            ArrowRight: currentTime + 1,
+            Home: 0,
+            End: duration,
+        }
+        if (!(e.key in targets)) return
+
+        e.preventDefault()
+        e.stopPropagation()
+        const time = Math.max(0, Math.min(duration, targets[e.key]))
+        onSeek(time)
+        setCurrentTime(time)
+    }
+
+    const withClick = (action) => (...args) => {
+        playSound('click')
+        action(...args)
+    }
+
+    const percentOf = (time) => (duration > 0 ? (time / duration) * 100 : 0)
+
+    return (
+        <div className="compare-transport">
+            {/* Timeline */}
+            <div
+                ref={timelineRef}
+                className={`transport-timeline ${isScrubbing ? 'scrubbing' : ''}`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onKeyDown={handleTimelineKeyDown}
+                tabIndex={0}
+                role="slider"
+                aria-label={t('transport.position')}
+                aria-valuemin={0}
+                aria-valuemax={Math.round(duration)}
+                aria-valuenow={Math.round(currentTime)}
+                aria-valuetext={formatTimecode(currentTime, frameRate)}
+            >
+                {loop && (
+                    <div
+                        className="transport-loop-region"
+                        style={{ left: `${percentOf(loop.start)}%`, width: `${percentOf(loop.end - loop.start)}%` }}
+                    />
+                )}
+                <div className="transport-timeline-fill" style={{ width: `${percentOf(currentTime)}%` }} />
+                <div className="transport-playhead" style={{ left: `${percentOf(currentTime)}%` }} />
+                <CueMarkers
+                    cues={cues}
+                    duration={duration}
+                    activeIndex={activeCue}
+                    onSeek={(time) => {
+                        onSeek(time)
+                        setCurrentTime(time)
+                    }}
+                />
+            </div>
+
+            {/* Controls */}
+            <div className="transport-controls">
+                <div className="transport-group">
+                    <button
+                        type="button"
+                        className="transport-button"
+                        onClick={withClick(() => onStep(-1))}
+                        aria-label={t('transport.previousFrame')}
+                        title={t('transport.previousFrame')}
+                    >
+                        <SkipBack size={16} />
+                    </button>
+                    <button
+                        type="button"
+                        className="transport-button transport-button-primary"
+                        onClick={withClick(onTogglePlay)}
+                        aria-label={t(isPlaying ? 'common.pause' : 'common.play')}
+                    >
+                        {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+                    </button>
+                    <button
+                        type="button"
+                        className="transport-button"
+                        onClick={withClick(() => onStep(1))}
+                        aria-label={t('transport.nextFrame')}
+                        title={t('transport.nextFrame')}
+                    >
+                        <SkipForward size={16} />
+                    </button>
+                </div>
+
+                <span className="transport-timecode">
+                    {formatTimecode(currentTime, frameRate)} / {formatTimecode(duration, frameRate)}
+                </span>
+
+                <div className="transport-group">
+                    <button
+                        type="button"
+                        className={`transport-button transport-text ${loopIn !== null ? 'active' : ''}`}
+                        onClick={withClick(() => onSetLoopPoint('in'))}
+                        aria-label={t('transport.loopStart')}
+                        title={t('transport.loopStartTitle')}
+                    >
+                        A
+                    </button>
+                    <Repeat size={14} className={`transport-loop-icon ${loop ? 'active' : ''}`} aria-hidden="true" />
+                    <button
+                        type="button"
+                        className={`transport-button transport-text ${loop ? 'active' : ''}`}
+                        onClick={withClick(() => onSetLoopPoint('out'))}
+                        aria-label={t('transport.loopEnd')}
+                        title={t('transport.loopEndTitle')}
+                    >
+                        B
+                    </button>
+                    {(loop || loopIn !== null) && (
+                        <button
+                            type="button"
+                            className="transport-button"
+                            onClick={withClick(onClearLoop)}
+                            aria-label={t('transport.clearLoop')}
+                            title={t('transport.clearLoop')}
+                        >
+                            <X size={14} />
+                        </button>
+                    )}
+                </div>
+
+                <select
+                    className="transport-rate"
+                    value={playbackRate}
+                    onChange={(e) => onRateChange(Number(e.target.value))}
+                    aria-label={t('transport.rate')}
+                >
+                    {PLAYBACK_RATES.map((rate) => (
+                        <option key={rate} value={rate}>{t('transport.rateOption', { rate })}</option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    )
+}
+
+export default CompareTransport
@@ -0,0 +1,52 @@
+import { useI18n } from '../i18n/I18n'
+import './CueList.css'
+
+/**
+ * CueList - A log's cue points as annotated notes
+ *
+ * Features:
+ * - Time, label and note for every cue, in time order
+ * - The cue playback has most recently passed is highlighted (aria-current)
+ * - Each time stamp is a button that seeks to the cue
+ */
+const CueList = ({ cues, activeIndex = -1, onSeek }) => {
+    const { t, formatTime } = useI18n()
+
+    if (!cues.length) return null
+
+    return (
+        <div className="cue-list">
+            <span className="cue-list-label">{t('cues.title')}</span>
+            <ol className="cue-list-items">
+                {cues.map((cue, index) => {
+                    const isActive = index === activeIndex
+                    return (
+                        <li
+                            key={`${cue.time}-${cue.label}`}
+                            className={`cue-list-item ${isActive ? 'active' : ''}`}
+                            aria-current={isActive ? 'true' : undefined}
+                        >
+                            <button
+                                type="button"
+                                className="cue-list-time"
+                                onClick={(e) => {
+                                    e.stopPropagation()
+                                    onSeek(cue.time)
+                                }}
+                                aria-label={t('cues.goTo', { time: formatTime(cue.time), label: cue.label })}
+                            >
+                                {formatTime(cue.time)}
+                            </button>
+                            <div className="cue-list-text">
+                                <strong className="cue-list-title">{cue.label}</strong>
+                                {cue.note && <p className="cue-list-note">{cue.note}</p>}
+                            </div>
+                        </li>
+                    )
+                })}
+            </ol>
+        </div>
+    )
+}
+
+export default CueList
@@ -0,0 +1,43 @@
+import { useI18n } from '../i18n/I18n'
+import './CueMarkers.css'
+
+/**
+ * CueMarkers - Cue point markers laid over a timeline
+ *
+ * Features:
+ * - One marker per cue, positioned by time over the parent's width
+ *   (the parent must be position: relative)
+ * - Click a marker to seek to its cue; the passed cue is highlighted
+ * - Markers are buttons, so they are reachable by keyboard and labelled
+ *   with their time for screen readers
+ * - Pointer events stop here, so the timeline underneath doesn't start
+ *   scrubbing
+ */
+const CueMarkers = ({ cues, duration, activeIndex = -1, onSeek }) => {
+    const { t, formatTime } = useI18n()
+
+    if (!cues.length || !duration) return null
+
+    return (
+        <div className="cue-markers">
+            {cues.map((cue, index) => (
+                <button
+                    key={`${cue.time}-${cue.label}`}
+                    type="button"
+                    className={`cue-marker ${index === activeIndex ? 'active' : ''}`}
+                    style={{ left: `${Math.min(100, (cue.time / duration) * 100)}%` }}
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onKeyDown={(e) => e.stopPropagation()}
+                    onClick={(e) => {
+                        e.stopPropagation()
+                        onSeek(cue.time)
+                    }}
+                    aria-label={t('cues.marker', { time: formatTime(cue.time), label: cue.label })}
+                    title={`${formatTime(cue.time)} · ${cue.label}`}
+                />
+            ))}
+        </div>
+    )
+}
+
+export default CueMarkers
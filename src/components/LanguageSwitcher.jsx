@@ -0,0 +1,43 @@
+import { useUISound } from '../audio/UISound'
+import { useI18n } from '../i18n/I18n'
+import { LOCALES } from '../i18n/locales'
+import './LanguageSwitcher.css'
+
+/**
+ * LanguageSwitcher - Interface language picker in the brand header
+ *
+ * Features:
+ * - One button per translated locale (EN / PT / DE), current one pressed
+ * - Each language is named in itself, so visitors find theirs whatever the
+ *   page is showing
+ * - The choice is remembered with the other preferences; until then the
+ *   browser languages decide (see i18n/locales)
+ */
+const LanguageSwitcher = () => {
+    const { locale, setLocale, t } = useI18n()
+    const { play: playSound } = useUISound()
+
+    return (
+        <div className="language-switcher" role="group" aria-label={t('language.label')}>
+            {LOCALES.map(({ id, label, name }) => (
+                <button
+                    key={id}
+                    type="button"
+                    lang={id}
+                    className={`language-option ${locale === id ? 'active' : ''}`}
+                    onClick={() => {
+                        playSound('click')
+                        setLocale(id)
+                    }}
+                    aria-pressed={locale === id}
+                    aria-label={name}
+                    title={name}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+    )
+}
+
+export default LanguageSwitcher
@@ -0,0 +1,28 @@
+import { useCallback, useState } from 'react'
+
+/**
+ * LiveRegion - Visually hidden status announcements for screen readers
+ *
+ * Features:
+ * - `useAnnouncer()` returns `[message, announce]`
+ * - Repeating the same message is still announced (alternates a trailing
+ *   non-breaking space so the text node always changes)
+ * - Polite by default, so announcements never interrupt the reader
+ */
+export const useAnnouncer = () => {
+    const [message, setMessage] = useState('')
+
+    const announce = useCallback((text) => {
+        setMessage((previous) => (previous === text ? `${text} ` : text))
+    }, [])
+
+    return [message, announce]
+}
+
+const LiveRegion = ({ message, politeness = 'polite' }) => (
+    <span className="sr-only" role="status" aria-live={politeness} aria-atomic="true">
+        {message}
+    </span>
+)
+
+export default LiveRegion
@@ -0,0 +1,161 @@
+import { useEffect, useRef, useState } from 'react'
+import { analyzeTransmission, levelAt, METER_WINDOWS } from '../audio/metering'
+import { useI18n } from '../i18n/I18n'
+import './MeteringPanel.css'
+
+/**
+ * MeteringPanel - Technical loudness readout for a transmission
+ *
+ * Features:
+ * - Analyses the whole file offline (see audio/metering), once per URL
+ * - Integrated loudness, loudness range, true peak, crest factor and
+ *   stereo correlation (MONO for single-channel files)
+ * - Live momentary / short-term meter that follows the playback position,
+ *   read from the precomputed series, with the integrated level marked
+ * - True peak above -1 dBTP is flagged
+ */
+const SCALE_MIN = -36 // LUFS at the bottom of the meter
+const SCALE_MAX = 0
+const TRUE_PEAK_CEILING = -1 // dBTP; common streaming delivery limit
+
+const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 }
+
+// formatNumber comes from useI18n (decimal separator of the visitor's locale)
+const formatDb = (value, formatNumber) => {
+    if (value === null || value === undefined) return '—'
+    if (!Number.isFinite(value)) return '−∞'
+    return formatNumber(value, ONE_DECIMAL).replace('-', '−')
+}
+
+// 0..1 position of a loudness on the meter scale
+const scalePosition = (lufs) => {
+    if (!Number.isFinite(lufs)) return 0
+    return Math.max(0, Math.min(1, (lufs - SCALE_MIN) / (SCALE_MAX - SCALE_MIN)))
+}
+
+const MeteringPanel = ({ audioSrc, currentTime = 0, isPlaying = false, getTime }) => {
+    const [analysis, setAnalysis] = useState(null)
+    const [status, setStatus] = useState('loading') // loading | ready | error
+    const { t, formatNumber } = useI18n()
+    const barRefs = { momentary: useRef(null), shortTerm: useRef(null) }
+    const valueRefs = { momentary: useRef(null), shortTerm: useRef(null) }
+    const getTimeRef = useRef(getTime)
+    getTimeRef.current = getTime
+
+    useEffect(() => {
+        let isCancelled = false
+        setStatus('loading')
+
+        analyzeTransmission(audioSrc).then((result) => {
+            if (isCancelled) return
+            setAnalysis(result)
+            setStatus(result ? 'ready' : 'error')
+        })
+
+        return () => {
+            isCancelled = true
+        }
+    }, [audioSrc])
+
+    // Live meter: written straight to the DOM so playback doesn't re-render
+    const draw = (time) => {
+        Object.entries(METER_WINDOWS).forEach(([name, windowSeconds]) => {
+            const level = levelAt(analysis[name], windowSeconds, time, analysis.hopSeconds)
+            const bar = barRefs[name].current
+            const readout = valueRefs[name].current
+            if (bar) bar.style.transform = `scaleX(${scalePosition(level)})`
+            if (readout) readout.textContent = formatDb(level, formatNumber)
+        })
+    }
+    const drawRef = useRef(draw)
+    drawRef.current = draw
+
+    const isLive = isPlaying && Boolean(getTime)
+
+    // Paused (or no per-frame clock): follow currentTime
+    useEffect(() => {
+        if (analysis && !isLive) drawRef.current(currentTime)
+    }, [analysis, isLive, currentTime, formatNumber])
+
+    // Playing: follow the exact position every frame
+    useEffect(() => {
+        if (!analysis || !isLive) return
+
+        let frame = null
+        const tick = () => {
+            drawRef.current(getTimeRef.current())
+            frame = requestAnimationFrame(tick)
+        }
+        tick()
+
+        return () => cancelAnimationFrame(frame)
+    }, [analysis, isLive])
+
+    if (status === 'loading') {
+        return (
+            <div className="metering-panel metering-status" role="status">
+                {t('metering.analysing')}
+            </div>
+        )
+    }
+
+    if (status === 'error') {
+        return (
+            <div className="metering-panel metering-status" role="status">
+                {t('metering.unavailable')}
+            </div>
+        )
+    }
+
+    const isOverCeiling = analysis.truePeak > TRUE_PEAK_CEILING
+    const stats = [
+        { label: t('metering.integrated'), value: formatDb(analysis.integrated, formatNumber), unit: 'LUFS' },
+        { label: t('metering.range'), value: formatDb(analysis.range, formatNumber), unit: 'LU' },
+        { label: t('metering.truePeak'), value: formatDb(analysis.truePeak, formatNumber), unit: 'dBTP', isWarning: isOverCeiling },
+        { label: t('metering.crest'), value: formatDb(analysis.crestFactor, formatNumber), unit: 'dB' },
+        {
+            label: t('metering.correlation'),
+            value: analysis.correlation === null
+                ? t('metering.mono')
+                : formatNumber(analysis.correlation, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).replace('-', '−'),
+            unit: '',
+        },
+    ]
+
+    return (
+        <section className="metering-panel" aria-label={t('metering.label')}>
+            <dl className="metering-stats">
+                {stats.map(({ label, value, unit, isWarning }) => (
+                    <div key={label} className={`metering-stat ${isWarning ? 'warning' : ''}`}>
+                        <dt className="metering-label">{label}</dt>
+                        <dd className="metering-value">
+                            {value}
+                            {unit && <span className="metering-unit">{unit}</span>}
+                        </dd>
+                    </div>
+                ))}
+            </dl>
+
+            {/* Live meter (decorative; the figures above are the accessible summary) */}
+            <div className="metering-meters" aria-hidden="true">
+                {[['momentary', 'M'], ['shortTerm', 'S']].map(([name, label]) => (
+                    <div key={name} className="metering-meter">
+                        <span className="metering-meter-label">{label}</span>
+                        <div className="metering-meter-track">
+                            <div ref={barRefs[name]} className="metering-meter-fill" />
+                            {Number.isFinite(analysis.integrated) && (
+                                <div
+                                    className="metering-meter-marker"
+                                    style={{ left: `${scalePosition(analysis.integrated) * 100}%` }}
+                                />
+                            )}
+                        </div>
+                        <span ref={valueRefs[name]} className="metering-meter-value" />
+                    </div>
+                ))}
+            </div>
+        </section>
+    )
+}
+
+export default MeteringPanel
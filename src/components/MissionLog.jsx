@@ -1,6 +1,23 @@
-import { useState, useRef, useEffect, cloneElement, isValidElement, Children } from 'react'
+import { useState, useRef, useId, useEffect, useMemo, cloneElement, isValidElement, Children } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Play, Pause, Volume2, VolumeX, ExternalLink, ChevronDown } from 'lucide-react'
+import { Play, Pause, Volume2, VolumeX, ExternalLink, ChevronDown, FlaskConical, Gauge, AudioLines } from 'lucide-react'
+import { useUISound } from '../audio/UISound'
+import { useDeepLink, logAnchorId } from '../playback/deepLink'
+import { normalizeCues, activeCueIndex } from '../playback/cues'
+import { usePlaybackSource } from '../playback/PlaybackCoordinator'
+import { useNowPlaying, useTrack } from '../playback/NowPlaying'
+import { usePreferences } from '../preferences/Preferences'
+import { useI18n } from '../i18n/I18n'
+import SignalScope from './SignalScope'
+import WaveformScrubber from './WaveformScrubber'
+import AbxPanel from './AbxPanel'
+import MeteringPanel from './MeteringPanel'
+import Spectrogram from './Spectrogram'
+import CueMarkers from './CueMarkers'
+import CueList from './CueList'
+import StemMixer from './StemMixer'
+import LiveRegion, { useAnnouncer } from './LiveRegion'
+import VisualPlaceholder from './VisualPlaceholder'
 import './MissionLog.css'
 
 /**
@@ -11,11 +28,45 @@ import './MissionLog.css'
  * - Framer Motion animations for smooth expansion
  * - Video-focused design with rich info panel
  * - Scientific hierarchy: Service, Project, Material, Log, Result
- * - Functional audio playback with progress bar
- * - Compare mode: controls video audio via ref
+ * - Audio playback with waveform scrubber (pre-computed peaks), through the
+ *   shared now-playing player, so it carries on (and shows ON AIR) while the
+ *   card is collapsed and continues in the dock
+ * - Compare mode registers with the playback coordinator: turning its sound
+ *   on pauses or ducks every other transmission
+ * - Live waveform/spectrum scope via a Web Audio AnalyserNode
+ * - Spectrogram view in place of the waveform scrubber (click to seek)
+ * - Before/after (`beforeAudioSrc`): BEFORE/AFTER switch (or B) flips to
+ *   the raw version mid-playback without losing the position
+ * - Stems (`stems`): a sample-locked multitrack mixer replaces the single
+ *   file controls (stops when the card collapses)
+ * - Cue points (`cues`): markers on the progress bar / compare timeline and
+ *   annotated notes in the info panel, the current one highlighted
+ * - Metering panel (integrated LUFS, loudness range, true peak, crest
+ *   factor, correlation) with a live meter that follows playback
+ * - Compare mode: controls video audio via ref; position, split, loop and
+ *   rate are restored when the card is re-expanded
+ * - Blind ABX test: drives ComparePlayer's blind mode, or plays an
+ *   `abx.srcA` / `abx.srcB` audio pair (also on stem and pair-only logs)
  * - Album art with Spotify link
  * - External Spotify link button
+ * - UI sounds from the shared engine (hover, expand/collapse, click)
+ * - Labels, announcements and times follow the visitor's language; the
+ *   content props arrive already translated (see content/catalog)
+ * - Honors the visitor's preferences: the looping visual only autoplays when
+ *   allowed (otherwise a play button over its `poster`), data saver loads
+ *   nothing until play is pressed, reduced motion expands and scrolls instantly.
+ *   Without a poster, a labelled placeholder covers the frame until one loads
+ * - Deep links (#log-02?t=12.5&split=70): open, seek and set the compare
+ *   split from the URL; opening, seeking and sliding write it back
+ * - Keyboard: header is a disclosure button (Enter/Space), Space plays/pauses,
+ *   M mutes and B flips before/after anywhere inside the open log; play
+ *   state is announced
  */
+
+// Controls that already use Space / typed letters for themselves
+const OWNS_SPACE_KEY = 'button, a, select, textarea, input:not([type="range"])'
+const OWNS_LETTER_KEYS = 'select, textarea, input:not([type="range"])'
+
 const MissionLog = ({
     title,
     logNumber,
@@ -25,69 +76,176 @@ const MissionLog = ({
     architectLog,
     result,
     videoSrc,
+    poster, // Still for videoSrc, shown until it plays
     audioSrc,
+    beforeAudioSrc, // Raw version of audioSrc for the before/after switch
     albumArt,
     spotifyUrl,
+    abx, // { trials, srcA?, srcB? } enables the blind ABX test
+    cues: cuePoints, // [{ time, label, note? }] annotations on the timeline
+    stems, // [{ label, src, gain? }] played in the stem mixer instead of audioSrc
     children // For custom content like ComparePlayer
 }) => {
     const [isExpanded, setIsExpanded] = useState(false)
-    const [isPlaying, setIsPlaying] = useState(false)
     const [isVideoAudioOn, setIsVideoAudioOn] = useState(false)
-    const [audioDuration, setAudioDuration] = useState(0)
-    const [audioProgress, setAudioProgress] = useState(0)
-    const audioRef = useRef(null)
+    const [isAbxOpen, setIsAbxOpen] = useState(false)
+    const [isMeteringOpen, setIsMeteringOpen] = useState(false)
+    const [isSpectrogramView, setIsSpectrogramView] = useState(false)
+    const [blindSource, setBlindSource] = useState(null)
+    const [compareCueIndex, setCompareCueIndex] = useState(-1)
+    const [isVisualPlaying, setIsVisualPlaying] = useState(false)
+    const [hasVisualFrame, setHasVisualFrame] = useState(false)
     const comparePlayerRef = useRef(null)
-    const clickSoundRef = useRef(null)
+    const visualRef = useRef(null)
+    const stemMixerRef = useRef(null)
+    const { play: playSound } = useUISound()
+    const [announcement, announce] = useAnnouncer()
+    const { preferences, shouldAutoplay } = usePreferences()
+    const { t, formatTime } = useI18n()
+    const headerId = useId()
+    const contentId = useId()
+    const rootRef = useRef(null)
+    const pendingLinkRef = useRef(null)
+    const compareStateRef = useRef(null) // ComparePlayer state saved on collapse
+    const [linkRequest, setLinkRequest] = useState(0)
 
     // Check if we're in compare mode (has children like ComparePlayer)
     const isCompareMode = !!children
+    const hasStems = !isCompareMode && stems?.length > 0
+
+    const anchorId = logAnchorId(logNumber)
+
+    // Audio-only logs play through the shared now-playing player
+    const nowPlaying = useNowPlaying()
+    const track = useTrack(anchorId)
+    const isPlaying = track.isPlaying
+    const audioProgress = track.currentTime
+    const audioDuration = track.duration
+
+    // The waveform, spectrogram and meters follow the version being heard
+    const isBeforeVersion = Boolean(beforeAudioSrc) && nowPlaying.version === 'before'
+    const heardAudioSrc = isBeforeVersion ? beforeAudioSrc : audioSrc
+
+    const cues = useMemo(() => normalizeCues(cuePoints), [cuePoints])
+    const activeCue = isCompareMode ? compareCueIndex : activeCueIndex(cues, audioProgress)
+
+    // Compare soundtracks: another source started, stop being audible
+    const playback = usePlaybackSource(anchorId, {
+        pause: () => {
+            if (!isCompareMode) return
+            comparePlayerRef.current?.setMuted(true)
+            setIsVideoAudioOn(false)
+        },
+        duck: (level) => comparePlayerRef.current?.duck(level),
+        analysers: () => comparePlayerRef.current?.getAnalysers() ?? [],
+    })
 
-    // Initialize click sound once on mount
+    // Show the track length before it is played (not worth the request on data saver)
     useEffect(() => {
-        clickSoundRef.current = new Audio('/ui/ui_click.mp3')
-        clickSoundRef.current.volume = 0.3
-        // Preload the sound
-        clickSoundRef.current.load()
-
-        return () => {
-            if (clickSoundRef.current) {
-                clickSoundRef.current.pause()
-                clickSoundRef.current = null
-            }
+        if (isExpanded && audioSrc && !isCompareMode && !preferences.dataSaver) nowPlaying.probe(anchorId)
+    }, [isExpanded, audioSrc, isCompareMode, anchorId, preferences.dataSaver])
+
+    // Collapsing unmounts the ComparePlayer, so keep its state for re-expansion.
+    // Audio-only logs keep playing in the now-playing player.
+    const collapse = () => {
+        const player = comparePlayerRef.current
+        if (player) {
+            compareStateRef.current = player.getState()
+            setIsVideoAudioOn(false)
+            playback.release()
+        }
+        setIsExpanded(false)
+    }
+
+    const deepLink = useDeepLink(anchorId, {
+        onOpen: (link) => {
+            pendingLinkRef.current = link
+            setIsExpanded(true)
+            setLinkRequest((count) => count + 1)
+        },
+        onLeave: collapse,
+    })
+
+    // Restore the ComparePlayer as it was when the card was collapsed
+    useEffect(() => {
+        const saved = compareStateRef.current
+        const player = comparePlayerRef.current
+        if (!isExpanded || !saved || !player) return
+        compareStateRef.current = null
+
+        player.seek(saved.currentTime)
+        player.setSplit(saved.sliderValue)
+        player.setPlaybackRate(saved.playbackRate)
+        if (saved.loop) player.setLoop(saved.loop.start, saved.loop.end)
+
+        // Re-expanding is a user gesture, so sound can come straight back
+        if (saved.isPlaying && !saved.isMuted) {
+            setIsVideoAudioOn(player.toggleMuted())
+            playback.claim()
         }
-    }, [])
+    }, [isExpanded])
 
-    const playClickSound = () => {
-        if (clickSoundRef.current) {
-            clickSoundRef.current.currentTime = 0
-            clickSoundRef.current.play().catch(() => { })
+    // Apply a deep link once the expanded content (audio / ComparePlayer) exists
+    useEffect(() => {
+        const link = pendingLinkRef.current
+        if (!link) return
+        pendingLinkRef.current = null
+
+        rootRef.current?.scrollIntoView({
+            behavior: preferences.reducedMotion ? 'auto' : 'smooth',
+            block: 'start',
+        })
+
+        const player = comparePlayerRef.current
+        if (player) {
+            if (link.time !== null) player.seek(link.time)
+            if (link.split !== null) player.setSplit(link.split)
+        } else if (audioSrc && link.time !== null) {
+            nowPlaying.cue(anchorId, link.time)
         }
-    }
+    }, [linkRequest])
+
+    // ABX needs either the ComparePlayer or an explicit audio pair
+    const hasAudioPair = Boolean(abx?.srcA && abx?.srcB)
+    const canRunAbx = Boolean(abx) && (isCompareMode || hasAudioPair)
 
     const toggleExpanded = () => {
-        playClickSound()
-        setIsExpanded(!isExpanded)
+        playSound(isExpanded ? 'collapse' : 'expand')
+        if (isExpanded) {
+            deepLink.close()
+            collapse()
+        } else {
+            deepLink.open()
+            setIsExpanded(true)
+        }
     }
 
     const toggleAudio = (e) => {
-        e.stopPropagation()
-        playClickSound()
-
-        const audio = audioRef.current
-        if (!audio) return
+        e?.stopPropagation()
+        playSound('click')
+        if (!audioSrc) return
 
         if (isPlaying) {
-            audio.pause()
+            nowPlaying.pause()
+            announce(t('missionLog.announce.pausedAt', { position: formatTime(audioProgress), duration: formatTime(audioDuration) }))
+            deepLink.update({ time: audioProgress })
         } else {
-            audio.play().catch(() => { })
+            nowPlaying.play(anchorId)
+            announce(t('missionLog.announce.playing', { title }))
         }
-        setIsPlaying(!isPlaying)
+    }
+
+    const toggleAudioMuted = (e) => {
+        e?.stopPropagation()
+        playSound('click')
+        nowPlaying.toggleMuted()
+        announce(t(nowPlaying.isMuted ? 'missionLog.announce.soundOn' : 'missionLog.announce.muted'))
     }
 
     // Toggle video audio for compare mode (with iOS unlock)
     const toggleVideoAudio = (e) => {
-        e.stopPropagation()
-        playClickSound()
+        e?.stopPropagation()
+        playSound('click')
 
         if (comparePlayerRef.current) {
             // Call playVideos first for iOS user interaction requirement
@@ -98,97 +256,196 @@ const MissionLog = ({
             if (comparePlayerRef.current.toggleMuted) {
                 const audioIsNowOn = comparePlayerRef.current.toggleMuted()
                 setIsVideoAudioOn(audioIsNowOn)
+                if (audioIsNowOn) playback.claim()
+                else playback.release()
+                announce(t(audioIsNowOn ? 'missionLog.announce.transmissionSoundOn' : 'missionLog.announce.transmissionMuted'))
             }
         }
     }
 
-    const handleSpotifyClick = (e) => {
-        e.stopPropagation()
-        playClickSound()
-        window.open(spotifyUrl, '_blank', 'noopener,noreferrer')
+    // Space: play/pause whatever this log plays
+    const togglePlaybackFromKeyboard = () => {
+        if (hasStems) {
+            stemMixerRef.current?.toggle()
+            return
+        }
+        if (!isCompareMode) {
+            toggleAudio()
+            return
+        }
+        const player = comparePlayerRef.current
+        if (!player?.getState) return
+        if (player.getState().isPlaying) player.pause()
+        else player.play()
+    }
+
+    const handleContentKeyDown = (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return
+
+        if (e.key === ' ') {
+            if (e.target.closest(OWNS_SPACE_KEY)) return
+            e.preventDefault()
+            togglePlaybackFromKeyboard()
+        } else if (e.key === 'm' || e.key === 'M') {
+            if (e.target.closest(OWNS_LETTER_KEYS)) return
+            e.preventDefault()
+            if (isCompareMode) toggleVideoAudio()
+            else if (!hasStems) toggleAudioMuted()
+        } else if ((e.key === 'b' || e.key === 'B') && beforeAudioSrc) {
+            if (e.target.closest(OWNS_LETTER_KEYS)) return
+            e.preventDefault()
+            switchVersion(isBeforeVersion ? 'after' : 'before')
+        }
+    }
+
+    const switchVersion = (nextVersion) => {
+        if (nextVersion === nowPlaying.version) return
+        playSound('click')
+        nowPlaying.setVersion(nextVersion)
+        announce(t(`missionLog.announce.${nextVersion}`))
     }
 
-    // Audio event handlers (inline for reliability)
-    const handleLoadedMetadata = (e) => {
-        setAudioDuration(e.target.duration)
+    const toggleAbx = (e) => {
+        e.stopPropagation()
+        playSound('click')
+
+        // The test takes over playback
+        if (!isAbxOpen && isPlaying) {
+            nowPlaying.pause()
+        }
+        setIsAbxOpen(!isAbxOpen)
     }
 
-    const handleTimeUpdate = (e) => {
-        setAudioProgress(e.target.currentTime)
+    const toggleSpectrogram = (e) => {
+        e.stopPropagation()
+        playSound('click')
+        setIsSpectrogramView(!isSpectrogramView)
     }
 
-    const handleAudioEnded = () => {
-        setIsPlaying(false)
-        setAudioProgress(0)
+    const toggleMetering = (e) => {
+        e.stopPropagation()
+        playSound('click')
+        setIsMeteringOpen(!isMeteringOpen)
     }
 
-    // Seek functionality
-    const handleProgressClick = (e) => {
-        const audio = audioRef.current
-        if (!audio || audioDuration === 0) return
+    // ABX in compare mode: put the ComparePlayer in blind mode on the chosen side
+    const handleCompareAudition = (side) => {
+        setBlindSource(side)
 
-        const rect = e.currentTarget.getBoundingClientRect()
-        const clickX = e.clientX - rect.left
-        const percentage = clickX / rect.width
-        const newTime = percentage * audioDuration
+        const player = comparePlayerRef.current
+        if (!player) return
 
-        audio.currentTime = newTime
-        setAudioProgress(newTime)
+        // Out of the audition (answer given, test closed): stop the hidden side too
+        if (!side) {
+            player.pause()
+            player.setMuted(true)
+            setIsVideoAudioOn(false)
+            playback.release()
+            return
+        }
+
+        player.playVideos?.()
+        if (player.isMuted?.()) {
+            setIsVideoAudioOn(player.toggleMuted())
+        }
+        playback.claim()
     }
 
-    const formatTime = (seconds) => {
-        if (!seconds || isNaN(seconds)) return '0:00'
-        const mins = Math.floor(seconds / 60)
-        const secs = Math.floor(seconds % 60)
-        return `${mins}:${secs.toString().padStart(2, '0')}`
+    const handleSpotifyClick = (e) => {
+        e.stopPropagation()
+        playSound('click')
+        window.open(spotifyUrl, '_blank', 'noopener,noreferrer')
     }
 
-    const progressPercent = audioDuration > 0 ? (audioProgress / audioDuration) * 100 : 0
+    // Seek functionality (driven by the waveform scrubber); a log that isn't
+    // current just remembers where to start
+    const handleSeek = (newTime) => {
+        if (track.isCurrent) nowPlaying.seek(newTime)
+        else nowPlaying.cue(anchorId, newTime)
+        deepLink.update({ time: newTime })
+    }
+
+    const seekToCue = (time) => {
+        playSound('click')
+        if (isCompareMode) {
+            comparePlayerRef.current?.seek(time)
+            deepLink.update({ time })
+        } else {
+            handleSeek(time)
+        }
+    }
 
     // Check if we have rich content (service, project, etc.)
-    const hasRichContent = service || project || material || architectLog || result
+    const hasRichContent = service || project || material || architectLog || cues.length > 0 || result
 
     // Clone children to pass ref to ComparePlayer
     const childrenWithRef = Children.map(children, (child) => {
         if (isValidElement(child)) {
-            return cloneElement(child, { ref: comparePlayerRef })
+            return cloneElement(child, {
+                ref: comparePlayerRef,
+                blindSource,
+                // Restored paused state must not be overridden by autoplay
+                autoPlay: compareStateRef.current ? compareStateRef.current.isPlaying : undefined,
+                onSplitChange: (split) => deepLink.update({ split }),
+                onTimeChange: (time) => deepLink.update({ time }),
+                cues,
+                onCueChange: setCompareCueIndex,
+            })
         }
         return child
     })
 
     return (
         <motion.div
+            ref={rootRef}
+            id={anchorId}
             className={`mission-log ${isExpanded ? 'expanded' : ''}`}
             layout
         >
-            {/* Header - Always Visible */}
-            <motion.div
-                className="mission-log-header"
-                onClick={toggleExpanded}
-                layout="position"
-            >
-                <div className="mission-log-title-group">
-                    <span className="mission-log-number">LOG {logNumber}</span>
-                    <h3 className="mission-log-title">PROTOCOL: {title}</h3>
-                </div>
-                <motion.div
-                    className="mission-log-chevron"
-                    animate={{ rotate: isExpanded ? 180 : 0 }}
-                    transition={{ duration: 0.3 }}
+            {/* Header - Always Visible (disclosure button inside a heading) */}
+            <motion.h3 className="mission-log-heading" layout="position">
+                <button
+                    type="button"
+                    id={headerId}
+                    className="mission-log-header"
+                    onClick={toggleExpanded}
+                    onMouseEnter={() => playSound('hover')}
+                    aria-expanded={isExpanded}
+                    aria-controls={contentId}
                 >
-                    <ChevronDown size={24} />
-                </motion.div>
-            </motion.div>
+                    <span className="mission-log-title-group">
+                        <span className="mission-log-number">{t('missionLog.number', { number: logNumber })}</span>
+                        <span className="mission-log-title">{t('missionLog.protocol', { title })}</span>
+                    </span>
+                    {!isExpanded && isPlaying && (
+                        <span className="mission-log-on-air">{t('missionLog.onAir')}</span>
+                    )}
+                    <motion.span
+                        className="mission-log-chevron"
+                        animate={{ rotate: isExpanded ? 180 : 0 }}
+                        transition={{ duration: 0.3 }}
+                        aria-hidden="true"
+                    >
+                        <ChevronDown size={24} />
+                    </motion.span>
+                </button>
+            </motion.h3>
+
+            <LiveRegion message={announcement} />
 
             {/* Expanded Content */}
             <AnimatePresence>
                 {isExpanded && (
                     <motion.div
+                        id={contentId}
                         className="mission-log-content"
+                        role="region"
+                        aria-labelledby={headerId}
+                        onKeyDown={handleContentKeyDown}
                         initial={{ height: 0, opacity: 0 }}
                         animate={{ height: 'auto', opacity: 1 }}
                         exit={{ height: 0, opacity: 0 }}
-                        transition={{ duration: 0.4, ease: [0.4, 0, 0.2, 1] }}
+                        transition={preferences.reducedMotion ? { duration: 0 } : { duration: 0.4, ease: [0.4, 0, 0.2, 1] }}
                     >
                         {/* Custom Content (like ComparePlayer) */}
                         {isCompareMode ? (
@@ -202,43 +459,65 @@ const MissionLog = ({
                                     <button
                                         className={`btn ${isVideoAudioOn ? 'btn-primary' : 'btn-ghost'} btn-audio-toggle`}
                                         onClick={toggleVideoAudio}
-                                        aria-label={isVideoAudioOn ? 'Mute video' : 'Unmute video'}
+                                        aria-label={t(isVideoAudioOn ? 'missionLog.muteVideo' : 'missionLog.unmuteVideo')}
                                     >
                                         {isVideoAudioOn ? <Volume2 size={18} /> : <VolumeX size={18} />}
-                                        <span>{isVideoAudioOn ? 'SOUND ON' : 'PLAY TRANSMISSION'}</span>
+                                        <span>{t(isVideoAudioOn ? 'missionLog.soundOnCaps' : 'missionLog.playTransmissionCaps')}</span>
                                     </button>
+
+                                    {canRunAbx && (
+                                        <button
+                                            className={`btn ${isAbxOpen ? 'btn-primary' : 'btn-ghost'} btn-abx`}
+                                            onClick={toggleAbx}
+                                            aria-pressed={isAbxOpen}
+                                        >
+                                            <FlaskConical size={18} />
+                                            <span>{t('missionLog.abxTest')}</span>
+                                        </button>
+                                    )}
                                 </div>
 
+                                {isAbxOpen && (
+                                    <div className="mission-log-abx">
+                                        <AbxPanel
+                                            trials={abx.trials}
+                                            onAudition={handleCompareAudition}
+                                            onClose={toggleAbx}
+                                        />
+                                    </div>
+                                )}
+
                                 {/* Rich Content Below ComparePlayer */}
                                 {hasRichContent && (
                                     <div className="mission-log-rich-content">
                                         {service && (
                                             <div className="rich-field">
-                                                <span className="field-label">SERVICE</span>
+                                                <span className="field-label">{t('missionLog.fields.service')}</span>
                                                 <span className="field-value">{service}</span>
                                             </div>
                                         )}
                                         {project && (
                                             <div className="rich-field">
-                                                <span className="field-label">PROJECT</span>
+                                                <span className="field-label">{t('missionLog.fields.project')}</span>
                                                 <span className="field-value field-project">{project}</span>
                                             </div>
                                         )}
                                         {material && (
                                             <div className="rich-field">
-                                                <span className="field-label">MATERIAL</span>
+                                                <span className="field-label">{t('missionLog.fields.material')}</span>
                                                 <strong className="field-value">{material}</strong>
                                             </div>
                                         )}
                                         {architectLog && (
                                             <div className="rich-field rich-field-log">
-                                                <span className="field-label">ARCHITECT'S LOG</span>
+                                                <span className="field-label">{t('missionLog.fields.architectLog')}</span>
                                                 <em className="field-value field-log">{architectLog}</em>
                                             </div>
                                         )}
+                                        <CueList cues={cues} activeIndex={activeCue} onSeek={seekToCue} />
                                         {result && (
                                             <div className="rich-field rich-field-result">
-                                                <span className="field-label">RESULT</span>
+                                                <span className="field-label">{t('missionLog.fields.result')}</span>
                                                 <strong className="field-value field-result">{result}</strong>
                                             </div>
                                         )}
@@ -252,13 +531,35 @@ const MissionLog = ({
                                 <div className="mission-log-visual-column">
                                     <div className="mission-log-visual">
                                         <video
+                                            ref={visualRef}
                                             className="mission-log-video"
                                             src={videoSrc}
+                                            poster={poster}
                                             loop
                                             muted
-                                            autoPlay
+                                            autoPlay={shouldAutoplay}
+                                            preload={preferences.dataSaver ? 'none' : 'auto'}
                                             playsInline
+                                            onPlay={() => setIsVisualPlaying(true)}
+                                            onPause={() => setIsVisualPlaying(false)}
+                                            onLoadedData={() => setHasVisualFrame(true)}
+                                            onEmptied={() => setHasVisualFrame(false)}
                                         />
+                                        <VisualPlaceholder name={project || title} poster={poster} hasFrame={hasVisualFrame} />
+                                        {!shouldAutoplay && !isVisualPlaying && (
+                                            <button
+                                                type="button"
+                                                className="mission-log-visual-play"
+                                                onClick={(e) => {
+                                                    e.stopPropagation()
+                                                    playSound('click')
+                                                    visualRef.current?.play().catch(() => { })
+                                                }}
+                                                aria-label={t('missionLog.playVisual', { name: project || title })}
+                                            >
+                                                <Play size={28} />
+                                            </button>
+                                        )}
                                     </div>
 
                                     {/* Album Art */}
@@ -272,12 +573,12 @@ const MissionLog = ({
                                         >
                                             <img
                                                 src={albumArt}
-                                                alt={`${project} album artwork`}
+                                                alt={t('missionLog.albumArtwork', { project })}
                                                 className="album-art-image"
                                             />
                                             <div className="album-art-overlay">
                                                 <ExternalLink size={24} />
-                                                <span>Open in Spotify</span>
+                                                <span>{t('missionLog.openInSpotify')}</span>
                                             </div>
                                         </a>
                                     )}
@@ -294,7 +595,7 @@ const MissionLog = ({
                                         )}
                                         {material && (
                                             <div className="info-material">
-                                                <span className="material-label">Material:</span>
+                                                <span className="material-label">{t('missionLog.materialLabel')}</span>
                                                 <strong className="material-value">{material}</strong>
                                             </div>
                                         )}
@@ -302,80 +603,190 @@ const MissionLog = ({
 
                                     {architectLog && (
                                         <div className="info-log">
-                                            <span className="log-label">Architect's Log</span>
+                                            <span className="log-label">{t('missionLog.architectLogLabel')}</span>
                                             <em className="log-content">{architectLog}</em>
                                         </div>
                                     )}
 
+                                    <CueList cues={cues} activeIndex={activeCue} onSeek={seekToCue} />
+
                                     {result && (
                                         <div className="info-result">
-                                            <span className="result-label">Result:</span>
+                                            <span className="result-label">{t('missionLog.resultLabel')}</span>
                                             <strong className="result-value">{result}</strong>
                                         </div>
                                     )}
 
-                                    {/* Controls in Info Panel */}
-                                    {audioSrc && (
+                                    {/* Stem Mixer (in place of the single file) */}
+                                    {hasStems && (
                                         <div className="info-controls">
-                                            {/* Audio Element with inline handlers */}
-                                            <audio
-                                                ref={audioRef}
-                                                src={audioSrc}
-                                                preload="metadata"
-                                                onLoadedMetadata={handleLoadedMetadata}
-                                                onTimeUpdate={handleTimeUpdate}
-                                                onEnded={handleAudioEnded}
-                                            />
+                                            <StemMixer ref={stemMixerRef} stems={stems} />
+                                        </div>
+                                    )}
 
-                                            {/* Clickable Progress Bar */}
-                                            <div
-                                                className="audio-progress"
-                                                onClick={handleProgressClick}
-                                                role="slider"
-                                                aria-label="Audio progress"
-                                                aria-valuenow={audioProgress}
-                                                aria-valuemin={0}
-                                                aria-valuemax={audioDuration}
-                                            >
-                                                <div
-                                                    className="audio-progress-fill"
-                                                    style={{ width: `${progressPercent}%` }}
+                                    {/* Controls in Info Panel */}
+                                    {audioSrc && !hasStems && (
+                                        <div className="info-controls">
+                                            {/* Live Scope */}
+                                            <SignalScope analyser={track.analyser} isActive={isPlaying} />
+
+                                            {/* Cue markers above the progress view */}
+                                            {cues.length > 0 && (
+                                                <div className="cue-lane">
+                                                    <CueMarkers
+                                                        cues={cues}
+                                                        duration={audioDuration}
+                                                        activeIndex={activeCue}
+                                                        onSeek={seekToCue}
+                                                    />
+                                                </div>
+                                            )}
+
+                                            {/* Waveform Scrubber or Spectrogram */}
+                                            {isSpectrogramView ? (
+                                                <Spectrogram
+                                                    audioSrc={heardAudioSrc}
+                                                    progress={audioProgress}
+                                                    duration={audioDuration}
+                                                    isPlaying={isPlaying}
+                                                    getTime={track.getPosition}
+                                                    onSeek={handleSeek}
                                                 />
-                                                <div
-                                                    className="audio-progress-handle"
-                                                    style={{ left: `${progressPercent}%` }}
+                                            ) : (
+                                                <WaveformScrubber
+                                                    audioSrc={heardAudioSrc}
+                                                    progress={audioProgress}
+                                                    duration={audioDuration}
+                                                    onSeek={handleSeek}
                                                 />
-                                            </div>
+                                            )}
 
                                             {/* Time Display */}
                                             <span className="audio-time">
                                                 {formatTime(audioProgress)} / {formatTime(audioDuration)}
                                             </span>
 
+                                            {/* Before / After */}
+                                            {beforeAudioSrc && (
+                                                <div className="version-switch" role="group" aria-label={t('missionLog.version')}>
+                                                    {['before', 'after'].map((option) => (
+                                                        <button
+                                                            key={option}
+                                                            type="button"
+                                                            className={`version-option ${nowPlaying.version === option ? 'active' : ''}`}
+                                                            onClick={(e) => {
+                                                                e.stopPropagation()
+                                                                switchVersion(option)
+                                                            }}
+                                                            aria-pressed={nowPlaying.version === option}
+                                                            title={t('missionLog.switchVersion')}
+                                                        >
+                                                            {t(`missionLog.versions.${option}`)}
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                            )}
+
                                             {/* Buttons */}
                                             <div className="info-buttons">
                                                 <button
                                                     className="btn btn-primary btn-play"
                                                     onClick={toggleAudio}
-                                                    aria-label={isPlaying ? 'Pause transmission' : 'Play transmission'}
+                                                    aria-label={t(isPlaying ? 'missionLog.pauseTransmission' : 'missionLog.playTransmission')}
                                                 >
                                                     {isPlaying ? <Pause size={18} /> : <Play size={18} />}
-                                                    <span>{isPlaying ? 'PAUSE' : 'PLAY'}</span>
+                                                    <span>{t(isPlaying ? 'common.pauseCaps' : 'common.playCaps')}</span>
+                                                </button>
+
+                                                <button
+                                                    className={`btn ${nowPlaying.isMuted ? 'btn-primary' : 'btn-ghost'} btn-icon`}
+                                                    onClick={toggleAudioMuted}
+                                                    aria-label={t('missionLog.muteTransmission')}
+                                                    aria-pressed={nowPlaying.isMuted}
+                                                    title={t('missionLog.muteTitle')}
+                                                >
+                                                    {nowPlaying.isMuted ? <VolumeX size={18} /> : <Volume2 size={18} />}
                                                 </button>
 
                                                 {spotifyUrl && (
                                                     <button
                                                         className="btn btn-ghost btn-icon"
                                                         onClick={handleSpotifyClick}
-                                                        aria-label="Open on Spotify"
-                                                        title="External Uplink - Spotify"
+                                                        aria-label={t('missionLog.openOnSpotify')}
+                                                        title={t('missionLog.spotifyTitle')}
                                                     >
                                                         <ExternalLink size={18} />
                                                     </button>
                                                 )}
+
+                                                <button
+                                                    className={`btn ${isSpectrogramView ? 'btn-primary' : 'btn-ghost'} btn-icon`}
+                                                    onClick={toggleSpectrogram}
+                                                    aria-label={t('missionLog.spectrogramView')}
+                                                    aria-pressed={isSpectrogramView}
+                                                    title={t('missionLog.spectrogramTitle')}
+                                                >
+                                                    <AudioLines size={18} />
+                                                </button>
+
+                                                <button
+                                                    className={`btn ${isMeteringOpen ? 'btn-primary' : 'btn-ghost'} btn-icon`}
+                                                    onClick={toggleMetering}
+                                                    aria-label={t('missionLog.metering')}
+                                                    aria-pressed={isMeteringOpen}
+                                                    title={t('missionLog.meteringTitle')}
+                                                >
+                                                    <Gauge size={18} />
+                                                </button>
+
+                                                {canRunAbx && (
+                                                    <button
+                                                        className={`btn ${isAbxOpen ? 'btn-primary' : 'btn-ghost'} btn-icon`}
+                                                        onClick={toggleAbx}
+                                                        aria-label={t('missionLog.abx')}
+                                                        aria-pressed={isAbxOpen}
+                                                        title={t('missionLog.abxTitle')}
+                                                    >
+                                                        <FlaskConical size={18} />
+                                                    </button>
+                                                )}
                                             </div>
                                         </div>
                                     )}
+
+                                    {/* ABX where the transport above isn't shown (stems, or only an audio pair) */}
+                                    {canRunAbx && (hasStems || !audioSrc) && (
+                                        <div className="info-buttons">
+                                            <button
+                                                className={`btn ${isAbxOpen ? 'btn-primary' : 'btn-ghost'} btn-abx`}
+                                                onClick={toggleAbx}
+                                                aria-pressed={isAbxOpen}
+                                                title={t('missionLog.abxTitle')}
+                                            >
+                                                <FlaskConical size={18} />
+                                                <span>{t('missionLog.abxTest')}</span>
+                                            </button>
+                                        </div>
+                                    )}
+
+                                    {/* Loudness Metering */}
+                                    {audioSrc && isMeteringOpen && (
+                                        <MeteringPanel
+                                            audioSrc={heardAudioSrc}
+                                            currentTime={audioProgress}
+                                            isPlaying={isPlaying}
+                                            getTime={track.getPosition}
+                                        />
+                                    )}
+
+                                    {/* Blind ABX Test (audio pair) */}
+                                    {isAbxOpen && hasAudioPair && (
+                                        <AbxPanel
+                                            trials={abx.trials}
+                                            sources={{ A: abx.srcA, B: abx.srcB }}
+                                            onClose={toggleAbx}
+                                        />
+                                    )}
                                 </div>
                             </div>
                         )}
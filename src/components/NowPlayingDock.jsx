@@ -0,0 +1,160 @@
+import { useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Play, Pause, SkipBack, SkipForward, ListMusic, Volume2, VolumeX, X, Radio } from 'lucide-react'
+import { useNowPlaying, useNowPlayingTime } from '../playback/NowPlaying'
+import { useUISound } from '../audio/UISound'
+import { useI18n } from '../i18n/I18n'
+import { localizeTrack } from '../content/catalog'
+import WaveformScrubber from './WaveformScrubber'
+import LiveRegion, { useAnnouncer } from './LiveRegion'
+import './NowPlayingDock.css'
+
+/**
+ * NowPlayingDock - Fixed mini-player for the transmission archive
+ *
+ * Features:
+ * - Slides up once anything from the archive plays, stays until closed
+ * - Album art, log number, project and title (click to jump to the log)
+ * - Waveform scrubber, previous/next, mute
+ * - "Play through archive" toggle: queues every log's audio, gapless
+ * - Announces track changes to screen readers
+ * - Titles in the visitor's language (see content/catalog)
+ */
+const NowPlayingDock = () => {
+    const nowPlaying = useNowPlaying()
+    const { play: playSound } = useUISound()
+    const [announcement, announce] = useAnnouncer()
+    const { locale, t, formatTime } = useI18n()
+    const currentTrack = nowPlaying.currentTrack && localizeTrack(nowPlaying.currentTrack, locale)
+    const { isPlaying, duration, isDockOpen, isContinuous, isMuted } = nowPlaying
+    const currentTime = useNowPlayingTime()
+
+    useEffect(() => {
+        if (currentTrack && isPlaying) announce(t('dock.nowPlaying', { title: currentTrack.title }))
+    }, [currentTrack?.id])
+
+    const withClick = (action) => () => {
+        playSound('click')
+        action()
+    }
+
+    const isVisible = isDockOpen && currentTrack
+
+    return (
+        <>
+            <LiveRegion message={announcement} />
+
+            <AnimatePresence>
+                {isVisible && (
+                    <motion.aside
+                        className="now-playing-dock"
+                        aria-label={t('dock.label')}
+                        initial={{ y: '100%', opacity: 0 }}
+                        animate={{ y: 0, opacity: 1 }}
+                        exit={{ y: '100%', opacity: 0 }}
+                        transition={{ duration: 0.35, ease: [0.4, 0, 0.2, 1] }}
+                    >
+                        {/* Track: art + titles link back to the log */}
+                        <a className="dock-track" href={`#${currentTrack.id}`} title={t('dock.openLog')}>
+                            {currentTrack.albumArt ? (
+                                <img
+                                    src={currentTrack.albumArt}
+                                    alt=""
+                                    className="dock-art"
+                                />
+                            ) : (
+                                <span className="dock-art dock-art-placeholder" aria-hidden="true">
+                                    <Radio size={20} />
+                                </span>
+                            )}
+                            <span className="dock-titles">
+                                <span className="dock-log">
+                                    {t('missionLog.number', { number: currentTrack.logNumber })}
+                                    {currentTrack.project ? ` · ${currentTrack.project}` : ''}
+                                </span>
+                                <span className="dock-title">{currentTrack.title}</span>
+                            </span>
+                        </a>
+
+                        {/* Scrubber + time */}
+                        <div className="dock-progress">
+                            <WaveformScrubber
+                                audioSrc={currentTrack.audioSrc}
+                                progress={currentTime}
+                                duration={duration}
+                                onSeek={nowPlaying.seek}
+                            />
+                            <span className="dock-time">
+                                {formatTime(currentTime)} / {formatTime(duration)}
+                            </span>
+                        </div>
+
+                        {/* Transport */}
+                        <div className="dock-controls">
+                            <button
+                                type="button"
+                                className="dock-button"
+                                onClick={withClick(nowPlaying.previous)}
+                                aria-label={t('dock.previous')}
+                                title={t('dock.previousTitle')}
+                            >
+                                <SkipBack size={18} />
+                            </button>
+                            <button
+                                type="button"
+                                className="dock-button dock-button-primary"
+                                onClick={withClick(() => nowPlaying.toggle())}
+                                aria-label={t(isPlaying ? 'common.pause' : 'common.play')}
+                            >
+                                {isPlaying ? <Pause size={18} /> : <Play size={18} />}
+                            </button>
+                            <button
+                                type="button"
+                                className="dock-button"
+                                onClick={withClick(nowPlaying.next)}
+                                disabled={!nowPlaying.hasNext}
+                                aria-label={t('dock.next')}
+                                title={t('dock.nextTitle')}
+                            >
+                                <SkipForward size={18} />
+                            </button>
+                            <button
+                                type="button"
+                                className={`dock-button ${isContinuous ? 'active' : ''}`}
+                                onClick={withClick(nowPlaying.toggleContinuous)}
+                                aria-pressed={isContinuous}
+                                aria-label={t('dock.playAll')}
+                                title={t('dock.playAll')}
+                            >
+                                <ListMusic size={18} />
+                            </button>
+                            <button
+                                type="button"
+                                className={`dock-button ${isMuted ? 'active' : ''}`}
+                                onClick={withClick(nowPlaying.toggleMuted)}
+                                aria-pressed={isMuted}
+                                aria-label={t('dock.mute')}
+                            >
+                                {isMuted ? <VolumeX size={18} /> : <Volume2 size={18} />}
+                            </button>
+                            <button
+                                type="button"
+                                className="dock-button dock-close"
+                                onClick={withClick(nowPlaying.close)}
+                                aria-label={t('dock.close')}
+                                title={t('dock.closeTitle')}
+                            >
+                                <X size={18} />
+                            </button>
+                        </div>
+                    </motion.aside>
+                )}
+            </AnimatePresence>
+
+            {/* Keeps the footer clear of the fixed dock */}
+            {isVisible && <div className="now-playing-spacer" aria-hidden="true" />}
+        </>
+    )
+}
+
+export default NowPlayingDock
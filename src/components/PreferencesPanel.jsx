@@ -0,0 +1,171 @@
+import { useEffect, useId, useRef, useState } from 'react'
+import { SlidersHorizontal } from 'lucide-react'
+import { useUISound } from '../audio/UISound'
+import { usePreferences } from '../preferences/Preferences'
+import { THEMES } from '../preferences/themes'
+import { useI18n } from '../i18n/I18n'
+import './PreferencesPanel.css'
+
+/**
+ * PreferencesPanel - Visitor settings popover in the brand header
+ *
+ * Features:
+ * - Theme picker (Obsidian, Studio Daylight, High Contrast), applied live
+ * - Switches for reduced motion, interface sounds (with volume), autoplay,
+ *   data saver and the reactive sky (see preferences/Preferences)
+ * - Settings that can't apply are disabled with the reason: autoplay under
+ *   data saver, the reactive sky under reduced motion
+ * - "Follow system" drops the switches' and volume's choices and goes back
+ *   to the OS settings; the theme and language stay as chosen
+ * - Closes on Escape (focus returns to the button) or a click outside
+ */
+const OPTIONS = ['reducedMotion', 'uiSounds', 'autoplay', 'dataSaver', 'reactiveSky'] // label + hint in preferences.options
+const RESET_KEYS = [...OPTIONS, 'uiVolume']
+
+const PreferencesPanel = () => {
+    const [isOpen, setIsOpen] = useState(false)
+    const { preferences, setPreference, resetPreferences, isCustomized } = usePreferences()
+    const { play: playSound } = useUISound()
+    const { t, formatNumber } = useI18n()
+    const rootRef = useRef(null)
+    const buttonRef = useRef(null)
+    const panelId = useId()
+
+    // Close on Escape or a click outside
+    useEffect(() => {
+        if (!isOpen) return
+
+        const handlePointerDown = (e) => {
+            if (!rootRef.current?.contains(e.target)) setIsOpen(false)
+        }
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Escape') return
+            setIsOpen(false)
+            buttonRef.current?.focus()
+        }
+        document.addEventListener('pointerdown', handlePointerDown)
+        document.addEventListener('keydown', handleKeyDown)
+
+        return () => {
+            document.removeEventListener('pointerdown', handlePointerDown)
+            document.removeEventListener('keydown', handleKeyDown)
+        }
+    }, [isOpen])
+
+    // Why an option is unavailable right now, if it is
+    const blockedBy = (key) => {
+        if (key === 'autoplay' && preferences.dataSaver) return t('preferences.blockedByDataSaver')
+        if (key === 'reactiveSky' && preferences.reducedMotion) return t('preferences.blockedByMotion')
+        return null
+    }
+
+    const toggleOption = (key) => {
+        playSound('click')
+        setPreference(key, !preferences[key])
+    }
+
+    return (
+        <div className="preferences" ref={rootRef}>
+            <button
+                ref={buttonRef}
+                type="button"
+                className={`preferences-toggle ${isOpen ? 'active' : ''}`}
+                onClick={() => {
+                    playSound(isOpen ? 'collapse' : 'expand')
+                    setIsOpen(!isOpen)
+                }}
+                aria-expanded={isOpen}
+                aria-controls={panelId}
+                aria-label={t('preferences.title')}
+            >
+                <SlidersHorizontal size={14} />
+                <span>{t('preferences.toggle')}</span>
+            </button>
+
+            {isOpen && (
+                <section id={panelId} className="preferences-panel" aria-label={t('preferences.title')}>
+                    <div className="preferences-themes" role="group" aria-label={t('preferences.theme')}>
+                        {THEMES.map((id) => (
+                            <button
+                                key={id}
+                                type="button"
+                                className={`preferences-theme ${preferences.theme === id ? 'active' : ''}`}
+                                onClick={() => {
+                                    playSound('click')
+                                    setPreference('theme', id)
+                                }}
+                                aria-pressed={preferences.theme === id}
+                            >
+                                {t(`preferences.themes.${id}`)}
+                            </button>
+                        ))}
+                    </div>
+
+                    {OPTIONS.map((key) => {
+                        const reason = blockedBy(key)
+                        return (
+                            <div key={key} className="preferences-item">
+                                <label className={`preferences-option ${reason ? 'disabled' : ''}`}>
+                                    <input
+                                        type="checkbox"
+                                        role="switch"
+                                        checked={preferences[key] && !reason}
+                                        disabled={Boolean(reason)}
+                                        onChange={() => toggleOption(key)}
+                                    />
+                                    <span className="preferences-option-text">
+                                        <span className="preferences-option-label">{t(`preferences.options.${key}.label`)}</span>
+                                        <span className="preferences-option-hint">
+                                            {reason ?? t(`preferences.options.${key}.hint`)}
+                                        </span>
+                                    </span>
+                                </label>
+
+                                {key === 'uiSounds' && (
+                                    <label className="preferences-volume">
+                                        <span className="preferences-option-hint">{t('preferences.volume')}</span>
+                                        <input
+                                            type="range"
+                                            min={0}
+                                            max={1}
+                                            step={0.05}
+                                            value={preferences.uiVolume}
+                                            disabled={!preferences.uiSounds}
+                                            onChange={(e) => setPreference('uiVolume', Number(e.target.value))}
+                                            // Preview the new level once the slider is let go
+                                            onPointerUp={() => playSound('click')}
+                                            onKeyUp={() => playSound('click')}
+                                            aria-valuetext={formatNumber(preferences.uiVolume, { style: 'percent' })}
+                                        />
+                                        <span className="preferences-volume-value">
+                                            {formatNumber(preferences.uiVolume, { style: 'percent' })}
+                                        </span>
+                                    </label>
+                                )}
+                            </div>
+                        )
+                    })}
+
+                    <div className="preferences-footer">
+                        <span className="preferences-option-hint">
+                            {t('preferences.followsDevice')}
+                        </span>
+                        <button
+                            type="button"
+                            className="preferences-reset"
+                            onClick={() => {
+                                playSound('click')
+                                resetPreferences(RESET_KEYS)
+                            }}
+                            disabled={!isCustomized(RESET_KEYS)}
+                        >
+                            {t('preferences.followSystem')}
+                        </button>
+                    </div>
+                </section>
+            )}
+        </div>
+    )
+}
+
+export default PreferencesPanel
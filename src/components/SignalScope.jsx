@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from 'react'
+import { usePreferences } from '../preferences/Preferences'
+import { readToken } from '../preferences/themes'
+import { useI18n } from '../i18n/I18n'
+import './SignalScope.css'
+
+/**
+ * SignalScope - Real-time oscilloscope / spectrum display
+ *
+ * Features:
+ * - Reads from any Web Audio AnalyserNode (see audio/mediaGraph)
+ * - Three modes: waveform, bar spectrum, log-frequency spectrum
+ * - DPR-aware canvas, redraws only while the source is active
+ * - Falls back to a flat idle trace when nothing is playing
+ * - Draws in the theme's accent color
+ */
+const MODES = ['waveform', 'bars', 'log'] // labels in scope.modes
+
+const BAR_COUNT = 48
+const MIN_FREQUENCY = 20
+const MAX_FREQUENCY = 20000
+
+// Resize the backing store to match CSS size × devicePixelRatio
+const fitCanvas = (canvas) => {
+    const dpr = window.devicePixelRatio || 1
+    const width = Math.round(canvas.clientWidth * dpr)
+    const height = Math.round(canvas.clientHeight * dpr)
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width
+        canvas.height = height
+    }
+    return { width, height }
+}
+
+const drawIdle = (ctx, width, height, color) => {
+    ctx.strokeStyle = color
+    ctx.globalAlpha = 0.4
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(0, height / 2)
+    ctx.lineTo(width, height / 2)
+    ctx.stroke()
+    ctx.globalAlpha = 1
+}
+
+const drawWaveform = (ctx, analyser, buffer, width, height, color) => {
+    analyser.getFloatTimeDomainData(buffer)
+
+    ctx.strokeStyle = color
+    ctx.lineWidth = Math.max(1, height / 60)
+    ctx.beginPath()
+    for (let i = 0; i < buffer.length; i++) {
+        const x = (i / (buffer.length - 1)) * width
+        const y = (0.5 - buffer[i] * 0.5) * height
+        if (i === 0) ctx.moveTo(x, y)
+        else ctx.lineTo(x, y)
+    }
+    ctx.stroke()
+}
+
+const drawBars = (ctx, analyser, buffer, width, height, color) => {
+    analyser.getByteFrequencyData(buffer)
+
+    const binsPerBar = Math.floor(buffer.length / BAR_COUNT)
+    const gap = width / BAR_COUNT * 0.25
+    const barWidth = width / BAR_COUNT - gap
+
+    ctx.fillStyle = color
+    for (let bar = 0; bar < BAR_COUNT; bar++) {
+        let sum = 0
+        for (let j = 0; j < binsPerBar; j++) {
+            sum += buffer[bar * binsPerBar + j]
+        }
+        const level = sum / binsPerBar / 255
+        const barHeight = Math.max(1, level * height)
+        ctx.fillRect(bar * (barWidth + gap) + gap / 2, height - barHeight, barWidth, barHeight)
+    }
+}
+
+const drawLogSpectrum = (ctx, analyser, buffer, width, height, color, sampleRate) => {
+    analyser.getFloatFrequencyData(buffer)
+
+    const { minDecibels, maxDecibels } = analyser
+    const nyquist = sampleRate / 2
+    const maxFrequency = Math.min(MAX_FREQUENCY, nyquist)
+    const logMin = Math.log10(MIN_FREQUENCY)
+    const logRange = Math.log10(maxFrequency) - logMin
+
+    ctx.fillStyle = color
+    ctx.globalAlpha = 0.35
+    ctx.beginPath()
+    ctx.moveTo(0, height)
+    for (let x = 0; x <= width; x += 2) {
+        const frequency = Math.pow(10, logMin + (x / width) * logRange)
+        const bin = Math.min(buffer.length - 1, Math.round((frequency / nyquist) * buffer.length))
+        const level = (buffer[bin] - minDecibels) / (maxDecibels - minDecibels)
+        ctx.lineTo(x, height - Math.max(0, Math.min(1, level)) * height)
+    }
+    ctx.lineTo(width, height)
+    ctx.closePath()
+    ctx.fill()
+    ctx.globalAlpha = 1
+    ctx.strokeStyle = color
+    ctx.lineWidth = Math.max(1, height / 80)
+    ctx.stroke()
+}
+
+const SignalScope = ({ analyser, isActive = false, defaultMode = 'waveform' }) => {
+    const [mode, setMode] = useState(defaultMode)
+    const { theme } = usePreferences().preferences // redraw in the new palette
+    const { t } = useI18n()
+    const canvasRef = useRef(null)
+    const animationRef = useRef(null)
+
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!canvas) return
+
+        const ctx = canvas.getContext('2d')
+        const color = readToken(canvas, '--accent-gold', '#FFD700')
+
+        const timeBuffer = analyser ? new Float32Array(analyser.fftSize) : null
+        const byteBuffer = analyser ? new Uint8Array(analyser.frequencyBinCount) : null
+        const floatBuffer = analyser ? new Float32Array(analyser.frequencyBinCount) : null
+
+        const render = () => {
+            const { width, height } = fitCanvas(canvas)
+            ctx.clearRect(0, 0, width, height)
+
+            if (!analyser || !isActive) {
+                drawIdle(ctx, width, height, color)
+                return
+            }
+
+            if (mode === 'bars') {
+                drawBars(ctx, analyser, byteBuffer, width, height, color)
+            } else if (mode === 'log') {
+                drawLogSpectrum(ctx, analyser, floatBuffer, width, height, color, analyser.context.sampleRate)
+            } else {
+                drawWaveform(ctx, analyser, timeBuffer, width, height, color)
+            }
+
+            animationRef.current = requestAnimationFrame(render)
+        }
+
+        render()
+
+        return () => {
+            if (animationRef.current) {
+                cancelAnimationFrame(animationRef.current)
+                animationRef.current = null
+            }
+        }
+    }, [analyser, isActive, mode, theme])
+
+    return (
+        <div className="signal-scope">
+            <canvas ref={canvasRef} className="signal-scope-canvas" aria-hidden="true" />
+            <div className="signal-scope-modes" role="group" aria-label={t('scope.mode')}>
+                {MODES.map((id) => (
+                    <button
+                        key={id}
+                        type="button"
+                        className={`signal-scope-mode ${mode === id ? 'active' : ''}`}
+                        onClick={(e) => {
+                            e.stopPropagation()
+                            setMode(id)
+                        }}
+                        aria-pressed={mode === id}
+                    >
+                        {t(`scope.modes.${id}`)}
+                    </button>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default SignalScope
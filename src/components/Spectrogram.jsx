@@ -0,0 +1,242 @@
+import { useEffect, useRef, useState } from 'react'
+import { loadSpectrogram, renderSpectrogram, positionOf, COLORMAPS } from '../audio/spectrogram'
+import { useI18n } from '../i18n/I18n'
+import './Spectrogram.css'
+
+/**
+ * Spectrogram - Full-track STFT view and seek control
+ *
+ * Features:
+ * - Whole file analysed in the browser (see audio/spectrogram), once per URL
+ * - Linear or log frequency axis with labelled gridlines
+ * - Selectable colormap (inferno, viridis, signal gold, grayscale)
+ * - Playhead follows the audio element every frame while playing
+ * - Click or drag to seek; same keyboard map as WaveformScrubber
+ *   (←/→ 5 s, PageUp/PageDown 30 s, Home/End)
+ */
+const SCALES = ['log', 'linear'] // labels in spectrogram.scales
+
+const AXIS_TICKS = {
+    log: [50, 100, 200, 500, 1000, 2000, 5000, 10000],
+    linear: [2000, 5000, 10000, 15000, 20000],
+}
+
+const KEY_STEP_SECONDS = 5
+const PAGE_STEP_SECONDS = 30
+
+const formatFrequency = (hz) => (hz >= 1000 ? `${hz / 1000}k` : `${hz}`)
+
+const Spectrogram = ({ audioSrc, progress = 0, duration = 0, isPlaying = false, getTime, onSeek }) => {
+    const [spectrogram, setSpectrogram] = useState(null)
+    const [status, setStatus] = useState('loading') // loading | ready | error
+    const { t, formatTime } = useI18n()
+    const [scale, setScale] = useState('log')
+    const [colormap, setColormap] = useState('inferno')
+    const [size, setSize] = useState({ width: 0, height: 0 })
+    const [isDragging, setIsDragging] = useState(false)
+    const containerRef = useRef(null)
+    const canvasRef = useRef(null)
+    const playheadRef = useRef(null)
+    const getTimeRef = useRef(getTime)
+    getTimeRef.current = getTime
+
+    const totalDuration = duration || spectrogram?.duration || 0
+
+    // Analyse this file
+    useEffect(() => {
+        let cancelled = false
+        setStatus('loading')
+        loadSpectrogram(audioSrc).then((data) => {
+            if (cancelled) return
+            setSpectrogram(data)
+            setStatus(data ? 'ready' : 'error')
+        })
+        return () => {
+            cancelled = true
+        }
+    }, [audioSrc])
+
+    // Track rendered size so the image is rebuilt at the right resolution
+    useEffect(() => {
+        const container = containerRef.current
+        if (!container) return
+
+        const observer = new ResizeObserver(([entry]) => {
+            setSize({ width: entry.contentRect.width, height: entry.contentRect.height })
+        })
+        observer.observe(container)
+        return () => observer.disconnect()
+    }, [])
+
+    // Draw: one column per STFT frame, stretched to the canvas width
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!canvas || !spectrogram || size.width === 0) return
+
+        const dpr = window.devicePixelRatio || 1
+        canvas.width = Math.round(size.width * dpr)
+        canvas.height = Math.round(size.height * dpr)
+
+        const image = renderSpectrogram(spectrogram, { height: canvas.height, colormap, scale })
+        const source = document.createElement('canvas')
+        source.width = image.width
+        source.height = image.height
+        source.getContext('2d').putImageData(image, 0, 0)
+
+        const ctx = canvas.getContext('2d')
+        ctx.imageSmoothingEnabled = true
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height)
+    }, [spectrogram, size, colormap, scale])
+
+    // Playhead: moved directly so playback doesn't re-render the canvas
+    useEffect(() => {
+        const playhead = playheadRef.current
+        if (!playhead || totalDuration === 0) return
+
+        const place = (time) => {
+            const fraction = Math.max(0, Math.min(1, time / totalDuration))
+            playhead.style.left = `${fraction * 100}%`
+        }
+
+        if (!isPlaying || !getTimeRef.current) {
+            place(progress)
+            return
+        }
+
+        let frame = null
+        const tick = () => {
+            place(getTimeRef.current())
+            frame = requestAnimationFrame(tick)
+        }
+        tick()
+
+        return () => cancelAnimationFrame(frame)
+    }, [isPlaying, totalDuration, isPlaying && getTime ? null : progress])
+
+    const seekToClientX = (clientX) => {
+        const container = containerRef.current
+        if (!container || totalDuration === 0 || !onSeek) return
+
+        const rect = container.getBoundingClientRect()
+        const percentage = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width))
+        onSeek(percentage * totalDuration)
+    }
+
+    const handlePointerDown = (e) => {
+        e.stopPropagation()
+        e.currentTarget.setPointerCapture(e.pointerId)
+        setIsDragging(true)
+        seekToClientX(e.clientX)
+    }
+
+    const handlePointerMove = (e) => {
+        if (!isDragging) return
+        seekToClientX(e.clientX)
+    }
+
+    const handlePointerUp = (e) => {
+        if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+            e.currentTarget.releasePointerCapture(e.pointerId)
+        }
+        setIsDragging(false)
+    }
+
+    const handleKeyDown = (e) => {
+        if (!totalDuration || !onSeek) return
+
+        const targets = {
+            ArrowLeft: progress - KEY_STEP_SECONDS,
+            ArrowDown: progress - KEY_STEP_SECONDS,
+            ArrowRight: progress + KEY_STEP_SECONDS,
+            ArrowUp: progress + KEY_STEP_SECONDS,
+            PageDown: progress - PAGE_STEP_SECONDS,
+            PageUp: progress + PAGE_STEP_SECONDS,
+            Home: 0,
+            End: totalDuration,
+        }
+        if (!(e.key in targets)) return
+
+        e.preventDefault()
+        e.stopPropagation()
+        onSeek(Math.max(0, Math.min(totalDuration, targets[e.key])))
+    }
+
+    const nyquist = spectrogram ? spectrogram.sampleRate / 2 : 0
+    const ticks = AXIS_TICKS[scale].filter((hz) => hz < nyquist)
+
+    return (
+        <div className="spectrogram" onClick={(e) => e.stopPropagation()}>
+            <div
+                ref={containerRef}
+                className={`spectrogram-surface ${isDragging ? 'dragging' : ''}`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onKeyDown={handleKeyDown}
+                tabIndex={0}
+                role="slider"
+                aria-label={t('spectrogram.label')}
+                aria-valuenow={Math.round(progress)}
+                aria-valuemin={0}
+                aria-valuemax={Math.round(totalDuration)}
+                aria-valuetext={t('common.positionOf', { position: formatTime(progress), duration: formatTime(totalDuration) })}
+            >
+                <canvas ref={canvasRef} className="spectrogram-canvas" aria-hidden="true" />
+
+                {status !== 'ready' && (
+                    <span className="spectrogram-status">
+                        {t(status === 'loading' ? 'spectrogram.computing' : 'spectrogram.unavailable')}
+                    </span>
+                )}
+
+                {/* Frequency axis */}
+                {status === 'ready' && (
+                    <div className="spectrogram-axis" aria-hidden="true">
+                        {ticks.map((hz) => (
+                            <span
+                                key={hz}
+                                className="spectrogram-tick"
+                                style={{ bottom: `${positionOf(hz, scale, nyquist) * 100}%` }}
+                            >
+                                {formatFrequency(hz)}
+                            </span>
+                        ))}
+                    </div>
+                )}
+
+                <div ref={playheadRef} className="spectrogram-playhead" aria-hidden="true" />
+            </div>
+
+            {/* View options */}
+            <div className="spectrogram-options">
+                <div className="spectrogram-scales" role="group" aria-label={t('spectrogram.scale')}>
+                    {SCALES.map((id) => (
+                        <button
+                            key={id}
+                            type="button"
+                            className={`spectrogram-option ${scale === id ? 'active' : ''}`}
+                            onClick={() => setScale(id)}
+                            aria-pressed={scale === id}
+                        >
+                            {t(`spectrogram.scales.${id}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <select
+                    className="spectrogram-colormap"
+                    value={colormap}
+                    onChange={(e) => setColormap(e.target.value)}
+                    aria-label={t('spectrogram.colormap')}
+                >
+                    {COLORMAPS.map((name) => (
+                        <option key={name} value={name}>{name.toUpperCase()}</option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    )
+}
+
+export default Spectrogram
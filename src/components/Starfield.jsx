@@ -1,118 +1,158 @@
 import { useEffect, useRef } from 'react'
+import { useActiveAnalysers, useActivePlayback } from '../playback/PlaybackCoordinator'
+import { readBands } from '../audio/bands'
+import { readToken } from '../preferences/themes'
+import { createStarfieldScene, starBudget, DEFAULT_STAR_RGB } from '../visuals/starfieldScene'
 import './Starfield.css'
 
 /**
  * Starfield - Subtle cosmic background with twinkling stars
- * 
+ *
  * Creates a deep space atmosphere with:
  * - Randomly positioned stars
  * - Gentle twinkling animation
  * - Very slow drift movement
  * - Low opacity to not distract from content
+ * - Optional reactive mode: follows the spectrum of whatever transmission
+ *   is audible (lows swell the larger stars, mids push brightness and
+ *   drift, highs quicken the twinkle), easing back to ambient in silence
+ *
+ * Rendering (see visuals/starfieldScene):
+ * - Drawn in a worker on an OffscreenCanvas where supported, otherwise on
+ *   the main thread
+ * - Sharp on high-DPI screens; stars keep their places when the window resizes
+ * - Paused while the page is hidden; `still` draws a single static frame
+ *   (reduced motion)
+ * - starCount is scaled to the device (screen size, cores, memory)
+ * - Star color and opacity follow the theme (--star-rgb, --star-opacity);
+ *   pass the current `theme` so it repaints on a switch
  */
-const Starfield = ({ starCount = 150 }) => {
-    const canvasRef = useRef(null)
-    const animationRef = useRef(null)
-    const starsRef = useRef([])
+const SILENCE = { low: 0, mid: 0, high: 0 }
+
+const viewport = () => ({
+    width: window.innerWidth,
+    height: window.innerHeight,
+    dpr: window.devicePixelRatio || 1,
+})
+
+// Worker-backed renderer with the same interface as the scene, or null
+const startWorkerRenderer = (canvas, init) => {
+    if (typeof Worker === 'undefined' || !canvas.transferControlToOffscreen) return null
+
+    let worker = null
+    try {
+        worker = new Worker(new URL('../visuals/starfield.worker.js', import.meta.url), { type: 'module' })
+        const offscreen = canvas.transferControlToOffscreen()
+        worker.postMessage({ type: 'init', canvas: offscreen, ...init }, [offscreen])
+    } catch {
+        worker?.terminate()
+        return null
+    }
+
+    return {
+        resize: (width, height, dpr) => worker.postMessage({ type: 'resize', width, height, dpr }),
+        setLevels: (levels) => worker.postMessage({ type: 'levels', levels }),
+        setRunning: (running) => worker.postMessage({ type: 'running', running }),
+        setColor: (color) => worker.postMessage({ type: 'color', color }),
+        dispose: () => worker.terminate(),
+    }
+}
+
+const startMainThreadRenderer = (canvas, init) => {
+    const scene = createStarfieldScene(canvas, { starCount: init.starCount, color: init.color })
+    scene.resize(init.width, init.height, init.dpr)
+    scene.setRunning(init.running)
+    return scene
+}
+
+const starColor = (element) => readToken(element, '--star-rgb', DEFAULT_STAR_RGB)
+
+const Starfield = ({ starCount = 150, reactive = false, still = false, theme }) => {
+    const hostRef = useRef(null)
+    const rendererRef = useRef(null)
+    const stillRef = useRef(still)
+    stillRef.current = still
+    const getAnalysers = useActiveAnalysers()
 
     useEffect(() => {
-        const canvas = canvasRef.current
-        if (!canvas) return
-
-        const ctx = canvas.getContext('2d')
-        let width = window.innerWidth
-        let height = window.innerHeight
-
-        // Set canvas size
-        const setCanvasSize = () => {
-            width = window.innerWidth
-            height = window.innerHeight
-            canvas.width = width
-            canvas.height = height
-        }
-        setCanvasSize()
-
-        // Generate stars
-        const generateStars = () => {
-            starsRef.current = []
-            for (let i = 0; i < starCount; i++) {
-                starsRef.current.push({
-                    x: Math.random() * width,
-                    y: Math.random() * height,
-                    size: Math.random() * 1.5 + 0.5,
-                    opacity: Math.random() * 0.5 + 0.2,
-                    twinkleSpeed: Math.random() * 0.02 + 0.005,
-                    twinklePhase: Math.random() * Math.PI * 2,
-                    driftX: (Math.random() - 0.5) * 0.05,
-                    driftY: (Math.random() - 0.5) * 0.02,
-                })
-            }
+        const host = hostRef.current
+        if (!host) return
+
+        // A canvas handed to a worker can't be reclaimed, so every run gets a fresh one
+        const canvas = document.createElement('canvas')
+        canvas.className = 'starfield-canvas'
+        host.appendChild(canvas)
+
+        const { width, height, dpr } = viewport()
+        const init = {
+            starCount: starBudget(starCount, width, height),
+            color: starColor(host),
+            width,
+            height,
+            dpr,
+            running: !document.hidden && !stillRef.current,
         }
-        generateStars()
-
-        // Animation loop
-        let time = 0
-        const animate = () => {
-            ctx.clearRect(0, 0, width, height)
-
-            starsRef.current.forEach((star) => {
-                // Update position (very slow drift)
-                star.x += star.driftX
-                star.y += star.driftY
-
-                // Wrap around edges
-                if (star.x < 0) star.x = width
-                if (star.x > width) star.x = 0
-                if (star.y < 0) star.y = height
-                if (star.y > height) star.y = 0
-
-                // Calculate twinkle
-                const twinkle = Math.sin(time * star.twinkleSpeed + star.twinklePhase)
-                const currentOpacity = star.opacity * (0.6 + twinkle * 0.4)
-
-                // Draw star
-                ctx.beginPath()
-                ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2)
-                ctx.fillStyle = `rgba(255, 255, 255, ${currentOpacity})`
-                ctx.fill()
-
-                // Add subtle glow for larger stars
-                if (star.size > 1) {
-                    ctx.beginPath()
-                    ctx.arc(star.x, star.y, star.size * 2, 0, Math.PI * 2)
-                    ctx.fillStyle = `rgba(255, 255, 255, ${currentOpacity * 0.1})`
-                    ctx.fill()
-                }
-            })
+        const renderer = startWorkerRenderer(canvas, init) ?? startMainThreadRenderer(canvas, init)
+        rendererRef.current = renderer
 
-            time++
-            animationRef.current = requestAnimationFrame(animate)
+        // Handle resize (at most once per frame)
+        let resizeFrame = null
+        const handleResize = () => {
+            if (resizeFrame) return
+            resizeFrame = requestAnimationFrame(() => {
+                resizeFrame = null
+                const next = viewport()
+                renderer.resize(next.width, next.height, next.dpr)
+            })
         }
 
-        animate()
+        const handleVisibility = () => renderer.setRunning(!document.hidden && !stillRef.current)
 
-        // Handle resize
-        const handleResize = () => {
-            setCanvasSize()
-            generateStars()
-        }
         window.addEventListener('resize', handleResize)
+        document.addEventListener('visibilitychange', handleVisibility)
 
         return () => {
             window.removeEventListener('resize', handleResize)
-            if (animationRef.current) {
-                cancelAnimationFrame(animationRef.current)
-            }
+            document.removeEventListener('visibilitychange', handleVisibility)
+            cancelAnimationFrame(resizeFrame)
+            renderer.dispose()
+            rendererRef.current = null
+            canvas.remove()
         }
     }, [starCount])
 
-    return (
-        <canvas
-            ref={canvasRef}
-            className="starfield-canvas"
-            aria-hidden="true"
-        />
-    )
+    // Theme switch: recolor the stars (the provider has already swapped the tokens)
+    useEffect(() => {
+        const host = hostRef.current
+        if (host) rendererRef.current?.setColor(starColor(host))
+    }, [theme])
+
+    // Reduced motion: freeze on the current frame
+    useEffect(() => {
+        rendererRef.current?.setRunning(!still && !document.hidden)
+    }, [still])
+
+    // Reactive mode: feed the audible source's band levels to the renderer,
+    // only while something is audible (stopping posts silence once)
+    const isAudible = useActivePlayback() !== null
+    useEffect(() => {
+        if (!reactive || !isAudible) return // the loop's cleanup already posted silence
+
+        const scratch = new Uint8Array(1024)
+        let frame = null
+        const tick = () => {
+            rendererRef.current?.setLevels(readBands(getAnalysers(), scratch))
+            frame = requestAnimationFrame(tick)
+        }
+        tick()
+
+        return () => {
+            cancelAnimationFrame(frame)
+            rendererRef.current?.setLevels(SILENCE)
+        }
+    }, [reactive, isAudible, getAnalysers])
+
+    return <div ref={hostRef} className="starfield" aria-hidden="true" />
 }
 
 export default Starfield
@@ -0,0 +1,365 @@
+import { forwardRef, useEffect, useId, useImperativeHandle, useLayoutEffect, useRef, useState } from 'react'
+import { Play, Pause } from 'lucide-react'
+import { getAudioContext, resumeAudioContext } from '../audio/audioContext'
+import { decodeMedia } from '../audio/loudness'
+import { createStemMixer, SILENT_DB } from '../audio/stemMixer'
+import { useUISound } from '../audio/UISound'
+import { usePlaybackSource } from '../playback/PlaybackCoordinator'
+import { usePreferences } from '../preferences/Preferences'
+import { useI18n } from '../i18n/I18n'
+import './StemMixer.css'
+
+/**
+ * StemMixer - Multitrack console for a log's stems
+ *
+ * Features:
+ * - Decodes every stem and plays them sample-locked (see audio/stemMixer)
+ * - Per stem: fader (−∞ to +6 dB), mute and solo
+ * - Master L/R peak meter with falling peak hold and a clip light
+ *   (click the meter to reset it)
+ * - Position slider and time readout (written straight to the DOM while
+ *   playing, so the console doesn't re-render every frame); registered with
+ *   the playback coordinator like any other transmission
+ * - Exposes toggle/pause via ref, for MissionLog's Space shortcut
+ * - Data saver: stems are only fetched once play is pressed
+ */
+const MAX_DB = 6
+const METER_FLOOR_DB = -48
+const PEAK_FALL_DB_PER_FRAME = 0.5
+
+// formatNumber comes from useI18n (decimal separator of the visitor's locale)
+const formatDb = (db, formatNumber) => {
+    if (db <= SILENT_DB) return '−∞'
+    const rounded = formatNumber(db, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    return db > 0 ? `+${rounded}` : rounded.replace('-', '−')
+}
+
+const meterPosition = (db) => Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB))
+
+const StemMixer = forwardRef(({ stems }, ref) => {
+    const { preferences } = usePreferences()
+    const [isRequested, setIsRequested] = useState(!preferences.dataSaver) // fetch the stems yet?
+    const [status, setStatus] = useState(isRequested ? 'loading' : 'idle') // idle | loading | ready | error
+    const [isPlaying, setIsPlaying] = useState(false)
+    const [position, setPosition] = useState(0) // while paused; playback writes to the DOM
+    const [duration, setDuration] = useState(0)
+    const [faders, setFaders] = useState(() => stems.map((stem) => stem.gain ?? 0))
+    const [muted, setMuted] = useState(() => stems.map(() => false))
+    const [soloed, setSoloed] = useState(() => stems.map(() => false))
+    const mixerRef = useRef(null)
+    const mixRef = useRef(null) // latest console state, applied to every newly built mixer
+    mixRef.current = { faders, muted, soloed }
+    const playOnReadyRef = useRef(false)
+    const meterRefs = [useRef(null), useRef(null)]
+    const clipRef = useRef(null)
+    const positionRef = useRef(null)
+    const timeRef = useRef(null)
+    const { play: playSound } = useUISound()
+    const { t, formatNumber, formatTime } = useI18n()
+
+    const showPosition = (time) => {
+        const slider = positionRef.current
+        if (slider) {
+            slider.value = time
+            slider.setAttribute('aria-valuetext', t('common.positionOf', { position: formatTime(time), duration: formatTime(duration) }))
+        }
+        if (timeRef.current) timeRef.current.textContent = `${formatTime(time)} / ${formatTime(duration)}`
+    }
+    const showPositionRef = useRef(showPosition)
+    showPositionRef.current = showPosition
+
+    // Paused position (and the first paint once ready)
+    useLayoutEffect(() => {
+        if (!isPlaying) showPosition(position)
+    }, [position, duration, status, isPlaying, t, formatTime])
+
+    const playback = usePlaybackSource(`stems-${useId()}`, {
+        pause: () => pause(),
+        duck: (level) => mixerRef.current?.setDuck(level),
+        analysers: () => [mixerRef.current?.spectrum],
+    })
+
+    // Decode all stems, then build the graph
+    const stemKey = stems.map((stem) => stem.src).join('|')
+    useEffect(() => {
+        if (!isRequested) return
+        let cancelled = false
+        setStatus('loading')
+
+        Promise.all(stems.map((stem) => decodeMedia(stem.src)))
+            .then((buffers) => {
+                if (cancelled) return
+                const mixer = createStemMixer(buffers, {
+                    onEnded: () => {
+                        setIsPlaying(false)
+                        setPosition(0)
+                        playback.release()
+                    },
+                })
+                if (!mixer) {
+                    setStatus('error')
+                    return
+                }
+                // A rebuilt graph plays what the console shows, not the defaults
+                const mix = mixRef.current
+                stems.forEach((stem, index) => {
+                    mixer.setFader(index, mix.faders[index] ?? stem.gain ?? 0)
+                    mixer.setMuted(index, Boolean(mix.muted[index]))
+                    mixer.setSoloed(index, Boolean(mix.soloed[index]))
+                })
+                mixerRef.current = mixer
+                setDuration(mixer.duration)
+                setStatus('ready')
+                if (playOnReadyRef.current) {
+                    playOnReadyRef.current = false
+                    play()
+                }
+            })
+            .catch(() => {
+                if (!cancelled) setStatus('error')
+            })
+
+        return () => {
+            cancelled = true
+            mixerRef.current?.dispose()
+            mixerRef.current = null
+            setIsPlaying(false)
+            playback.release()
+        }
+    }, [stemKey, isRequested])
+
+    // Position readout and master meter while playing
+    useEffect(() => {
+        const mixer = mixerRef.current
+        if (!isPlaying || !mixer) return
+
+        const samples = new Float32Array(mixer.analysers[0].fftSize)
+        const held = [-Infinity, -Infinity]
+        let frame = null
+
+        const tick = () => {
+            showPositionRef.current(mixer.getPosition())
+
+            mixer.analysers.forEach((analyser, channel) => {
+                analyser.getFloatTimeDomainData(samples)
+                let peak = 0
+                for (let i = 0; i < samples.length; i++) {
+                    peak = Math.max(peak, Math.abs(samples[i]))
+                }
+                if (peak >= 1) clipRef.current?.classList.add('clipped')
+
+                const db = peak > 0 ? 20 * Math.log10(peak) : -Infinity
+                held[channel] = Math.max(db, held[channel] - PEAK_FALL_DB_PER_FRAME)
+                const bar = meterRefs[channel].current
+                if (bar) bar.style.transform = `scaleY(${meterPosition(held[channel])})`
+            })
+
+            frame = requestAnimationFrame(tick)
+        }
+        tick()
+
+        return () => {
+            cancelAnimationFrame(frame)
+            meterRefs.forEach((meter) => {
+                if (meter.current) meter.current.style.transform = 'scaleY(0)'
+            })
+        }
+    }, [isPlaying])
+
+    // ---- Transport ----
+
+    const play = () => {
+        const mixer = mixerRef.current
+        if (!mixer && !isRequested) {
+            // Data saver: fetch now and start once decoded
+            playOnReadyRef.current = true
+            setIsRequested(true)
+            return
+        }
+        if (!mixer || !getAudioContext()) return
+        resumeAudioContext()
+        mixer.play(position)
+        playback.claim()
+        setIsPlaying(true)
+    }
+
+    const pause = () => {
+        const mixer = mixerRef.current
+        if (!mixer?.isPlaying()) return
+        mixer.pause()
+        setPosition(mixer.getPosition())
+        setIsPlaying(false)
+        playback.release()
+    }
+
+    const toggle = () => {
+        if (mixerRef.current?.isPlaying()) pause()
+        else play()
+    }
+
+    const seek = (time) => {
+        mixerRef.current?.seek(time)
+        setPosition(time)
+        showPosition(time)
+    }
+
+    useImperativeHandle(ref, () => ({
+        toggle,
+        pause,
+        isPlaying: () => Boolean(mixerRef.current?.isPlaying()),
+    }))
+
+    // ---- Channel strips ----
+
+    const updateAt = (setter, index, value) => setter((values) => values.map((old, i) => (i === index ? value : old)))
+
+    const handleFader = (index, db) => {
+        updateAt(setFaders, index, db)
+        mixerRef.current?.setFader(index, db)
+    }
+
+    const toggleMute = (index) => {
+        playSound('click')
+        updateAt(setMuted, index, !muted[index])
+        mixerRef.current?.setMuted(index, !muted[index])
+    }
+
+    const toggleSolo = (index) => {
+        playSound('click')
+        updateAt(setSoloed, index, !soloed[index])
+        mixerRef.current?.setSoloed(index, !soloed[index])
+    }
+
+    if (status === 'idle') {
+        return (
+            <div className="stem-mixer">
+                <button
+                    type="button"
+                    className="btn btn-primary btn-play"
+                    onClick={(e) => {
+                        e.stopPropagation()
+                        playSound('click')
+                        play()
+                    }}
+                    aria-label={t('stems.load', { count: stems.length })}
+                >
+                    <Play size={18} />
+                    <span>{t('stems.playCaps')}</span>
+                </button>
+            </div>
+        )
+    }
+
+    if (status !== 'ready') {
+        return (
+            <div className="stem-mixer stem-mixer-status" role="status">
+                {status === 'loading' ? t('stems.loading', { count: stems.length }) : t('stems.unavailable')}
+            </div>
+        )
+    }
+
+    const anySolo = soloed.some(Boolean)
+
+    return (
+        <section className="stem-mixer" aria-label={t('stems.mixer')} onClick={(e) => e.stopPropagation()}>
+            {/* Transport */}
+            <div className="stem-transport">
+                <button
+                    type="button"
+                    className="btn btn-primary btn-play"
+                    onClick={() => {
+                        playSound('click')
+                        toggle()
+                    }}
+                    aria-label={t(isPlaying ? 'stems.pause' : 'stems.play')}
+                >
+                    {isPlaying ? <Pause size={18} /> : <Play size={18} />}
+                    <span>{t(isPlaying ? 'common.pauseCaps' : 'common.playCaps')}</span>
+                </button>
+                <input
+                    ref={positionRef}
+                    type="range"
+                    className="stem-position"
+                    min={0}
+                    max={duration}
+                    step={0.1}
+                    defaultValue={position}
+                    onChange={(e) => seek(Number(e.target.value))}
+                    aria-label={t('stems.position')}
+                />
+                <span ref={timeRef} className="stem-time" />
+            </div>
+
+            {/* Console */}
+            <div className="stem-console">
+                {stems.map((stem, index) => {
+                    const isSilenced = muted[index] || (anySolo && !soloed[index])
+                    return (
+                        <div key={stem.src} className={`stem-strip ${isSilenced ? 'silenced' : ''}`}>
+                            <span className="stem-db">{formatDb(faders[index], formatNumber)}</span>
+                            <input
+                                type="range"
+                                className="stem-fader"
+                                min={SILENT_DB}
+                                max={MAX_DB}
+                                step={0.5}
+                                value={faders[index]}
+                                onChange={(e) => handleFader(index, Number(e.target.value))}
+                                onDoubleClick={() => handleFader(index, stem.gain ?? 0)}
+                                aria-label={t('stems.level', { stem: stem.label })}
+                                aria-valuetext={t('stems.decibels', { value: formatDb(faders[index], formatNumber) })}
+                            />
+                            <div className="stem-buttons">
+                                <button
+                                    type="button"
+                                    className={`stem-toggle stem-mute ${muted[index] ? 'active' : ''}`}
+                                    onClick={() => toggleMute(index)}
+                                    aria-pressed={muted[index]}
+                                    aria-label={t('stems.mute', { stem: stem.label })}
+                                >
+                                    {t('stems.muteShort')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className={`stem-toggle stem-solo ${soloed[index] ? 'active' : ''}`}
+                                    onClick={() => toggleSolo(index)}
+                                    aria-pressed={soloed[index]}
+                                    aria-label={t('stems.solo', { stem: stem.label })}
+                                >
+                                    {t('stems.soloShort')}
+                                </button>
+                            </div>
+                            <span className="stem-label" title={stem.label}>{stem.label}</span>
+                        </div>
+                    )
+                })}
+
+                {/* Master meter */}
+                <div
+                    className="stem-master"
+                    ref={clipRef}
+                    onClick={() => clipRef.current?.classList.remove('clipped')}
+                    title={t('stems.masterTitle')}
+                    aria-hidden="true"
+                >
+                    <span className="stem-clip">{t('stems.clip')}</span>
+                    <div className="stem-meters">
+                        {['L', 'R'].map((side, channel) => (
+                            <div key={side} className="stem-meter">
+                                <span className="stem-meter-side">{side}</span>
+                                <div className="stem-meter-track">
+                                    <div ref={meterRefs[channel]} className="stem-meter-fill" />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <span className="stem-label">{t('stems.master')}</span>
+                </div>
+            </div>
+        </section>
+    )
+})
+
+StemMixer.displayName = 'StemMixer'
+
+export default StemMixer
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react'
+import { usePreferences } from '../preferences/Preferences'
+import { useI18n } from '../i18n/I18n'
+import './VisualPlaceholder.css'
+
+/**
+ * VisualPlaceholder - Labelled stand-in for a video that shows nothing yet
+ *
+ * Features:
+ * - Covers its video until the first frame loads, unless a poster is showing
+ *   (a poster URL that fails to load counts as none)
+ * - Names the visual and says why it's empty: loading, or data saver waiting
+ *   for play to be pressed
+ * - Decorative for screen readers; the player's own controls carry the labels
+ *
+ * Render it right after its <video>, with the same className/style so it
+ * takes the same place in every layout.
+ */
+const usePosterLoaded = (poster) => {
+    const [loaded, setLoaded] = useState(null)
+
+    useEffect(() => {
+        if (!poster) return
+        const image = new Image()
+        image.onload = () => setLoaded(poster)
+        image.src = poster
+        return () => {
+            image.onload = null
+        }
+    }, [poster])
+
+    return Boolean(poster) && loaded === poster
+}
+
+const VisualPlaceholder = ({ name, poster, hasFrame, className = '', style }) => {
+    const { preferences } = usePreferences()
+    const { t } = useI18n()
+    const hasPoster = usePosterLoaded(poster)
+
+    if (hasFrame || hasPoster) return null
+
+    return (
+        <div className={`visual-placeholder ${className}`} style={style} aria-hidden="true">
+            <span className="visual-placeholder-name">{name}</span>
+            <span className="visual-placeholder-hint">
+                {t(preferences.dataSaver ? 'visualPlaceholder.dataSaver' : 'visualPlaceholder.loading')}
+            </span>
+        </div>
+    )
+}
+
+export default VisualPlaceholder
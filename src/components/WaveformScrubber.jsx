@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from 'react'
+import { loadPeaks, pickLevel } from '../audio/waveformPeaks'
+import { usePreferences } from '../preferences/Preferences'
+import { readToken } from '../preferences/themes'
+import { useI18n } from '../i18n/I18n'
+import './WaveformScrubber.css'
+
+/**
+ * WaveformScrubber - Waveform-shaped progress bar and seek control
+ *
+ * Features:
+ * - Draws from pre-computed peaks (plugins/waveformPeaks), so the shape
+ *   is visible before the audio has loaded
+ * - Picks the zoom level that matches the rendered width
+ * - Played region highlighted in the theme's accent color
+ * - Click or drag anywhere to seek (pointer capture keeps drags smooth)
+ * - Keyboard: ←/→ seek 5 s, PageUp/PageDown 30 s, Home/End
+ * - Falls back to a flat bar when no peaks exist for the file
+ */
+const BAR_HEIGHT_RATIO = 0.15
+const KEY_STEP_SECONDS = 5
+const PAGE_STEP_SECONDS = 30
+
+const WaveformScrubber = ({ audioSrc, progress = 0, duration = 0, onSeek }) => {
+    const [peaks, setPeaks] = useState(null)
+    const { theme } = usePreferences().preferences // redraw in the new palette
+    const { t, formatTime } = useI18n()
+    const [isDragging, setIsDragging] = useState(false)
+    const [width, setWidth] = useState(0)
+    const containerRef = useRef(null)
+    const canvasRef = useRef(null)
+
+    // Load peaks for this file
+    useEffect(() => {
+        let cancelled = false
+        setPeaks(null)
+        loadPeaks(audioSrc).then((data) => {
+            if (!cancelled) setPeaks(data)
+        })
+        return () => {
+            cancelled = true
+        }
+    }, [audioSrc])
+
+    // Track rendered width so we redraw at the right resolution
+    useEffect(() => {
+        const container = containerRef.current
+        if (!container) return
+
+        const observer = new ResizeObserver(([entry]) => {
+            setWidth(entry.contentRect.width)
+        })
+        observer.observe(container)
+        return () => observer.disconnect()
+    }, [])
+
+    // Draw
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!canvas || width === 0) return
+
+        const dpr = window.devicePixelRatio || 1
+        const pixelWidth = Math.round(width * dpr)
+        const pixelHeight = Math.round(canvas.clientHeight * dpr)
+        canvas.width = pixelWidth
+        canvas.height = pixelHeight
+
+        const ctx = canvas.getContext('2d')
+        const playedColor = readToken(canvas, '--accent-gold', '#FFD700')
+        const unplayedColor = `rgba(${readToken(canvas, '--ink-rgb', '255, 255, 255')}, 0.25)`
+
+        // Use the peaks' own duration until the audio metadata arrives
+        const totalDuration = duration || peaks?.duration || 0
+        const playedX = totalDuration > 0 ? (progress / totalDuration) * pixelWidth : 0
+        const mid = pixelHeight / 2
+
+        ctx.clearRect(0, 0, pixelWidth, pixelHeight)
+
+        const level = pickLevel(peaks, pixelWidth)
+        if (!level) {
+            const barHeight = Math.max(2, pixelHeight * BAR_HEIGHT_RATIO)
+            ctx.fillStyle = unplayedColor
+            ctx.fillRect(0, mid - barHeight / 2, pixelWidth, barHeight)
+            ctx.fillStyle = playedColor
+            ctx.fillRect(0, mid - barHeight / 2, playedX, barHeight)
+            return
+        }
+
+        const bucketsPerPixel = level.buckets / pixelWidth
+        for (let x = 0; x < pixelWidth; x++) {
+            const start = Math.floor(x * bucketsPerPixel)
+            const end = Math.max(start + 1, Math.floor((x + 1) * bucketsPerPixel))
+            let min = 127
+            let max = -127
+            for (let b = start; b < end && b < level.buckets; b++) {
+                min = Math.min(min, level.peaks[b * 2])
+                max = Math.max(max, level.peaks[b * 2 + 1])
+            }
+            const top = mid - (max / 127) * mid
+            const bottom = mid - (min / 127) * mid
+
+            ctx.fillStyle = x < playedX ? playedColor : unplayedColor
+            ctx.fillRect(x, top, 1, Math.max(1, bottom - top))
+        }
+    }, [peaks, progress, duration, width, theme])
+
+    const seekToClientX = (clientX) => {
+        const container = containerRef.current
+        const totalDuration = duration || peaks?.duration || 0
+        if (!container || totalDuration === 0 || !onSeek) return
+
+        const rect = container.getBoundingClientRect()
+        const percentage = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width))
+        onSeek(percentage * totalDuration)
+    }
+
+    const handlePointerDown = (e) => {
+        e.stopPropagation()
+        e.currentTarget.setPointerCapture(e.pointerId)
+        setIsDragging(true)
+        seekToClientX(e.clientX)
+    }
+
+    const handlePointerMove = (e) => {
+        if (!isDragging) return
+        seekToClientX(e.clientX)
+    }
+
+    const handlePointerUp = (e) => {
+        if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+            e.currentTarget.releasePointerCapture(e.pointerId)
+        }
+        setIsDragging(false)
+    }
+
+    const handleKeyDown = (e) => {
+        if (!duration) return
+
+        const targets = {
+            ArrowLeft: progress - KEY_STEP_SECONDS,
+            ArrowDown: progress - KEY_STEP_SECONDS,
+            ArrowRight: progress + KEY_STEP_SECONDS,
+            ArrowUp: progress + KEY_STEP_SECONDS,
+            PageDown: progress - PAGE_STEP_SECONDS,
+            PageUp: progress + PAGE_STEP_SECONDS,
+            Home: 0,
+            End: duration,
+        }
+        if (!(e.key in targets)) return
+
+        e.preventDefault()
+        e.stopPropagation()
+        onSeek(Math.max(0, Math.min(duration, targets[e.key])))
+    }
+
+    return (
+        <div
+            ref={containerRef}
+            className={`waveform-scrubber ${isDragging ? 'dragging' : ''}`}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onClick={(e) => e.stopPropagation()}
+            onKeyDown={handleKeyDown}
+            tabIndex={0}
+            role="slider"
+            aria-label={t('waveform.label')}
+            aria-valuenow={Math.round(progress)}
+            aria-valuemin={0}
+            aria-valuemax={Math.round(duration)}
+            aria-valuetext={t('common.positionOf', { position: formatTime(progress), duration: formatTime(duration) })}
+        >
+            <canvas ref={canvasRef} className="waveform-scrubber-canvas" aria-hidden="true" />
+        </div>
+    )
+}
+
+export default WaveformScrubber
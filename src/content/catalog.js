@@ -0,0 +1,87 @@
+import { logAnchorId } from '../playback/deepLink'
+import { DEFAULT_LOCALE } from '../i18n/locales'
+
+/**
+ * Mission Log Catalog
+ *
+ * Archive entries live as one JSON file per case study in ./logs.
+ * - Files are picked up automatically at build time (no code change needed)
+ * - Entries are ordered by logNumber, not by file name
+ * - Entries missing a logNumber or title are skipped (with a warning in dev)
+ * - Audio-only entries also form the archive's playback queue
+ * - Translations live in ./logs/<locale>/ under the same file name and hold
+ *   only the text; media, numbers and anything untranslated come from the
+ *   English entry (cue and stem labels are matched by position)
+ */
+const modules = import.meta.glob('./logs/*.json', { eager: true, import: 'default' })
+const translations = import.meta.glob('./logs/*/*.json', { eager: true, import: 'default' })
+
+const TEXT_FIELDS = ['title', 'service', 'project', 'material', 'architectLog', 'result']
+const TEXT_LIST_FIELDS = { cues: ['label', 'note'], stems: ['label'] }
+
+const REQUIRED_FIELDS = ['logNumber', 'title']
+
+const isValidEntry = (entry, file) => {
+    const missing = REQUIRED_FIELDS.filter((field) => !entry?.[field])
+    if (missing.length > 0) {
+        if (import.meta.env.DEV) console.warn(`[catalog] Skipping ${file}: missing ${missing.join(', ')}`)
+        return false
+    }
+    return true
+}
+
+const pick = (source, fields) => Object.fromEntries(
+    fields.filter((field) => typeof source?.[field] === 'string').map((field) => [field, source[field]])
+)
+
+const localizeEntry = (entry, translation) => {
+    if (!translation) return entry
+
+    const localized = { ...entry, ...pick(translation, TEXT_FIELDS) }
+    Object.entries(TEXT_LIST_FIELDS).forEach(([field, itemFields]) => {
+        if (!Array.isArray(entry[field]) || !Array.isArray(translation[field])) return
+        localized[field] = entry[field].map((item, index) => ({ ...item, ...pick(translation[field][index], itemFields) }))
+    })
+    return localized
+}
+
+const entries = Object.entries(modules)
+    .filter(([file, entry]) => isValidEntry(entry, file))
+    .sort(([, a], [, b]) => String(a.logNumber).localeCompare(String(b.logNumber), undefined, { numeric: true }))
+
+export const missionLogs = entries.map(([, entry]) => entry)
+
+const localizedCache = new Map() // locale → entries
+
+// The archive in a locale (English where a translation is missing)
+export const localizedLogs = (locale) => {
+    if (locale === DEFAULT_LOCALE) return missionLogs
+
+    if (!localizedCache.has(locale)) {
+        localizedCache.set(locale, entries.map(([file, entry]) => (
+            localizeEntry(entry, translations[file.replace('./logs/', `./logs/${locale}/`)])
+        )))
+    }
+    return localizedCache.get(locale)
+}
+
+// A queue track with its log's title and project in a locale
+export const localizeTrack = (track, locale) => {
+    const log = localizedLogs(locale).find((entry) => entry.logNumber === track.logNumber)
+    return log ? { ...track, title: log.title, project: log.project } : track
+}
+
+// Every audio-only log, in archive order, for the now-playing queue
+export const transmissionQueue = missionLogs
+    .filter((log) => log.audioSrc && !log.compare)
+    .map(({ logNumber, title, project, albumArt, audioSrc, beforeAudioSrc }) => ({
+        id: logAnchorId(logNumber),
+        logNumber,
+        title,
+        project,
+        albumArt,
+        audioSrc,
+        beforeAudioSrc,
+    }))
+
+export default missionLogs
@@ -0,0 +1,110 @@
+import { createContext, useContext, useLayoutEffect, useMemo } from 'react'
+import { usePreferences } from '../preferences/Preferences'
+import { formatTime, formatTimecode } from '../playback/timecode'
+import { DEFAULT_LOCALE } from './locales'
+import en from './messages/en'
+import ptBR from './messages/pt-BR'
+import de from './messages/de'
+
+/**
+ * I18n - Message catalogs, pluralization and locale formatting
+ *
+ * Features:
+ * - One catalog per locale in ./messages (English, Brazilian Portuguese,
+ *   German), nested by component; ids are dotted paths ('abx.start')
+ * - The locale is a visitor preference: the LanguageSwitcher's choice,
+ *   otherwise the browser languages (see ./locales)
+ * - t(id, params) fills {name} placeholders; a message written as plural
+ *   forms ({ one, other, … }) is picked with Intl.PluralRules on
+ *   params.count, which is also formatted for the locale
+ * - Missing messages fall back to English, then to the id (warned in dev)
+ * - formatNumber, formatTime and formatTimecode in the locale's conventions
+ * - Keeps <html lang> in sync for screen readers and hyphenation
+ *
+ * Usage:
+ *   const { t, formatNumber, formatTime } = useI18n()
+ *   t('abx.trialProgress', { current: 3, count: 10 })
+ */
+const CATALOGS = {
+    en,
+    'pt-BR': ptBR,
+    de,
+}
+
+const lookup = (catalog, id) => id.split('.').reduce((node, key) => node?.[key], catalog)
+
+const isPluralForms = (message) => message !== null && typeof message === 'object' && 'other' in message
+
+const numberFormats = new Map() // `${locale}|${options}` → Intl.NumberFormat
+
+const getNumberFormat = (locale, options = {}) => {
+    const key = `${locale}|${JSON.stringify(options)}`
+    if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(locale, options))
+    return numberFormats.get(key)
+}
+
+// Locale-bound helpers; also used outside the provider (English)
+const createTranslator = (locale) => {
+    const catalog = CATALOGS[locale] ?? CATALOGS[DEFAULT_LOCALE]
+    const pluralRules = new Intl.PluralRules(locale)
+    const formatNumber = (value, options) => getNumberFormat(locale, options).format(value)
+
+    const t = (id, params = {}) => {
+        let message = lookup(catalog, id) ?? lookup(CATALOGS[DEFAULT_LOCALE], id)
+        if (message === undefined) {
+            if (import.meta.env.DEV) console.warn(`[i18n] Missing message "${id}" (${locale})`)
+            return id
+        }
+
+        if (isPluralForms(message)) {
+            const form = pluralRules.select(params.count ?? 0)
+            message = message[form] ?? message.other
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name]
+            if (value === undefined) return placeholder
+            return typeof value === 'number' ? formatNumber(value) : String(value)
+        })
+    }
+
+    return {
+        locale,
+        t,
+        formatNumber,
+        formatTime: (seconds) => formatTime(seconds, locale),
+        formatTimecode: (seconds, frameRate) => formatTimecode(seconds, frameRate, locale),
+    }
+}
+
+const I18nContext = createContext(null)
+
+export const I18nProvider = ({ children }) => {
+    const { preferences, setPreference } = usePreferences()
+    const { locale } = preferences
+
+    useLayoutEffect(() => {
+        document.documentElement.lang = locale
+    }, [locale])
+
+    const value = useMemo(() => ({
+        ...createTranslator(locale),
+        setLocale: (next) => setPreference('locale', next),
+    }), [locale, setPreference])
+
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    )
+}
+
+let fallback = null
+
+export const useI18n = () => {
+    const context = useContext(I18nContext)
+    if (context) return context
+
+    if (!fallback) fallback = { ...createTranslator(DEFAULT_LOCALE), setLocale: () => { } }
+    return fallback
+}
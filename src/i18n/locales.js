@@ -0,0 +1,29 @@
+/**
+ * Locales
+ *
+ * The languages the Signal Lab is translated into, and how a visitor's
+ * browser languages map onto them. Kept free of React so the preferences
+ * store can seed the locale from it.
+ */
+export const LOCALES = [
+    { id: 'en', label: 'EN', name: 'English' },
+    { id: 'pt-BR', label: 'PT', name: 'Português (Brasil)' },
+    { id: 'de', label: 'DE', name: 'Deutsch' },
+]
+
+export const DEFAULT_LOCALE = 'en'
+
+export const isLocale = (id) => LOCALES.some((locale) => locale.id === id)
+
+// First browser language we have: exact tag, then its base language (pt-PT → pt-BR)
+export const detectLocale = (languages = globalThis.navigator?.languages ?? []) => {
+    for (const language of languages) {
+        const exact = LOCALES.find((locale) => locale.id.toLowerCase() === language.toLowerCase())
+        if (exact) return exact.id
+
+        const base = language.split('-')[0].toLowerCase()
+        const related = LOCALES.find((locale) => locale.id.split('-')[0].toLowerCase() === base)
+        if (related) return related.id
+    }
+    return DEFAULT_LOCALE
+}
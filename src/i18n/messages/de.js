@@ -0,0 +1,232 @@
+/**
+ * German messages
+ */
+export default {
+    common: {
+        play: 'Abspielen',
+        pause: 'Pausieren',
+        playCaps: 'PLAY',
+        pauseCaps: 'PAUSE',
+        positionOf: '{position} von {duration}',
+    },
+    lab: {
+        brandTitle: 'THE SIGNAL LAB',
+        brandSubtitle: 'ALPHERATZ TECHNOLOGIES // GEGR. 2026',
+        headline: 'THE RESONANCE WEAVER',
+        subtitle: 'VISUELLE RESONANZ-ENGINE // v1.0',
+        description: 'PASSIVES HÖREN IST TOT. MIT DIESER ENGINE FORMST DU DIE GEOMETRIE DES AUDIOSIGNALS MIT DEN HÄNDEN. BERÜHRE DIE WELLENFORM. VERZERRE DIE FREQUENZ.',
+        artifact: '[ ARTEFAKT INITIALISIEREN ]',
+        artifactLabel: 'Artefakt initialisieren - Das Tool ausprobieren',
+        commission: '[ AUFTRAG ERTEILEN ]',
+        commissionLabel: 'Auftrag erteilen - Den Produzenten buchen',
+        archive: '// ARCHIVIERTE SIGNALPROTOKOLLE',
+        playArchive: '▶ ARCHIV ABSPIELEN',
+        footer: 'ENTWICKELT VON THE SIGNAL LAB © 2026',
+    },
+    language: {
+        label: 'Sprache',
+    },
+    preferences: {
+        title: 'Einstellungen',
+        toggle: 'EINSTELLUNGEN',
+        theme: 'Farbschema',
+        themes: {
+            obsidian: 'Obsidian',
+            daylight: 'Studio-Tageslicht',
+            contrast: 'Hoher Kontrast',
+        },
+        options: {
+            reducedMotion: { label: 'Bewegung reduzieren', hint: 'Stiller Himmel, keine Animationen' },
+            uiSounds: { label: 'Interface-Klänge', hint: 'Klicks und Hover' },
+            autoplay: { label: 'Videos automatisch abspielen', hint: 'Visuals starten, sobald sie sichtbar sind' },
+            dataSaver: { label: 'Datensparmodus', hint: 'Nur Standbilder, bis du Play drückst' },
+            reactiveSky: { label: 'Reaktiver Himmel', hint: 'Die Sterne folgen der laufenden Übertragung' },
+        },
+        blockedByDataSaver: 'Aus, solange der Datensparmodus an ist',
+        blockedByMotion: 'Aus, solange Bewegung reduziert ist',
+        volume: 'Lautstärke',
+        followsDevice: 'Unveränderte Einstellungen folgen deinem Gerät',
+        followSystem: 'SYSTEM FOLGEN',
+    },
+    missionLog: {
+        number: 'LOG {number}',
+        protocol: 'PROTOKOLL: {title}',
+        onAir: 'ON AIR',
+        fields: {
+            service: 'LEISTUNG',
+            project: 'PROJEKT',
+            material: 'MATERIAL',
+            architectLog: 'LOGBUCH DES ARCHITEKTEN',
+            result: 'ERGEBNIS',
+        },
+        materialLabel: 'Material:',
+        architectLogLabel: 'Logbuch des Architekten',
+        resultLabel: 'Ergebnis:',
+        muteVideo: 'Video stummschalten',
+        unmuteVideo: 'Videoton einschalten',
+        soundOnCaps: 'TON AN',
+        playTransmissionCaps: 'ÜBERTRAGUNG ABSPIELEN',
+        abxTest: 'ABX-TEST',
+        playVisual: 'Visual zu {name} abspielen',
+        albumArtwork: 'Albumcover von {project}',
+        openInSpotify: 'In Spotify öffnen',
+        openOnSpotify: 'Auf Spotify öffnen',
+        spotifyTitle: 'Externer Uplink - Spotify',
+        version: 'Version (B)',
+        switchVersion: 'Version wechseln (B)',
+        versions: {
+            before: 'VORHER',
+            after: 'NACHHER',
+        },
+        playTransmission: 'Übertragung abspielen',
+        pauseTransmission: 'Übertragung pausieren',
+        muteTransmission: 'Übertragung stummschalten',
+        muteTitle: 'Stumm (M)',
+        spectrogramView: 'Spektrogramm-Ansicht',
+        spectrogramTitle: 'Spektrogramm',
+        metering: 'Lautheitsmessung',
+        meteringTitle: 'Lautheitsmessung',
+        abx: 'Blinder ABX-Test',
+        abxTitle: 'Blinder ABX-Test',
+        announce: {
+            pausedAt: 'Pausiert bei {position} von {duration}',
+            playing: '{title} wird abgespielt',
+            soundOn: 'Ton an',
+            muted: 'Stumm',
+            transmissionSoundOn: 'Ton der Übertragung an',
+            transmissionMuted: 'Übertragung stumm',
+            before: 'Vorher: Rohfassung',
+            after: 'Nachher: kalibrierte Fassung',
+        },
+    },
+    compare: {
+        simulation: 'SIMULATION',
+        reality: 'REALITÄT',
+        difference: 'Δ DIFFERENZ',
+        compareVideos: 'Videos vergleichen',
+        crossfade: 'Tonspuren überblenden',
+        balance: 'Realität {reality} %, Simulation {simulation} %',
+        hearRaw: 'Originalpegel hören',
+        hearMatched: 'Pegelangeglichen hören',
+        measuring: 'PEGEL WERDEN GEMESSEN…',
+        levelMatched: 'PEGEL ANGEGLICHEN ±{difference} dB',
+        rawLevels: 'ORIGINALPEGEL Δ {difference} dB',
+        announce: {
+            playing: 'Vergleich wird abgespielt',
+            pausedAt: 'Vergleich pausiert bei {timecode}',
+            loop: 'Schleife von {start} bis {end}',
+        },
+    },
+    transport: {
+        position: 'Videoposition',
+        previousFrame: 'Vorheriges Bild',
+        nextFrame: 'Nächstes Bild',
+        loopStart: 'Schleifenbeginn setzen',
+        loopStartTitle: 'Schleifenbeginn am Abspielkopf setzen',
+        loopEnd: 'Schleifenende setzen',
+        loopEndTitle: 'Schleifenende am Abspielkopf setzen',
+        clearLoop: 'Schleife löschen',
+        rate: 'Wiedergabegeschwindigkeit',
+        rateOption: '{rate}×',
+    },
+    abx: {
+        title: 'BLINDER ABX-TEST',
+        trialProgress: 'DURCHGANG {current} / {count}',
+        close: 'ABX-Test schließen',
+        intro: 'X ist heimlich A oder B und wird in jedem Durchgang neu gelost. Hör dir A, B und X so oft an, wie du willst, und entscheide dann, was X ist.',
+        trialCount: 'Anzahl der Durchgänge',
+        start: {
+            one: '{count} DURCHGANG STARTEN',
+            other: '{count} DURCHGÄNGE STARTEN',
+        },
+        audition: 'Vorhören',
+        xIsA: 'X IST A',
+        xIsB: 'X IST B',
+        correct: 'RICHTIG',
+        pValue: 'p = {value}',
+        pValueBelow: 'p < {value}',
+        significant: 'HÖRBAR VERSCHIEDEN',
+        notSignificant: 'NICHT VON RATEN ZU UNTERSCHEIDEN',
+        runAgain: 'NOCH EINMAL',
+    },
+    metering: {
+        label: 'Lautheitsmessung',
+        analysing: 'ÜBERTRAGUNG WIRD ANALYSIERT…',
+        unavailable: 'MESSUNG FÜR DIESE DATEI NICHT VERFÜGBAR',
+        integrated: 'Integriert',
+        range: 'Lautheitsbereich',
+        truePeak: 'True Peak',
+        crest: 'Crest-Faktor',
+        correlation: 'Korrelation',
+        mono: 'MONO',
+    },
+    spectrogram: {
+        label: 'Spektrogramm, Audiofortschritt',
+        computing: 'SPEKTROGRAMM WIRD BERECHNET…',
+        unavailable: 'SPEKTROGRAMM NICHT VERFÜGBAR',
+        scale: 'Frequenzskala',
+        scales: {
+            log: 'LOG',
+            linear: 'LIN',
+        },
+        colormap: 'Farbskala',
+    },
+    waveform: {
+        label: 'Audiofortschritt',
+    },
+    scope: {
+        mode: 'Visualisierungsmodus',
+        modes: {
+            waveform: 'WELLE',
+            bars: 'BALKEN',
+            log: 'LOG',
+        },
+    },
+    cues: {
+        title: 'Cue-Punkte',
+        goTo: 'Springe zu {time}: {label}',
+        marker: 'Cue bei {time}: {label}',
+    },
+    stems: {
+        load: {
+            one: '{count} Stem laden und abspielen',
+            other: '{count} Stems laden und abspielen',
+        },
+        playCaps: 'STEMS ABSPIELEN',
+        loading: {
+            one: '{count} STEM WIRD GELADEN…',
+            other: '{count} STEMS WERDEN GELADEN…',
+        },
+        unavailable: 'STEMS NICHT VERFÜGBAR',
+        mixer: 'Stem-Mixer',
+        play: 'Stems abspielen',
+        pause: 'Stems pausieren',
+        position: 'Stem-Position',
+        level: 'Pegel {stem}',
+        decibels: '{value} dB',
+        mute: '{stem} stummschalten',
+        solo: '{stem} solo',
+        muteShort: 'M',
+        soloShort: 'S',
+        masterTitle: 'Master-Spitzenpegel (klicken, um die Clip-Anzeige zurückzusetzen)',
+        clip: 'CLIP',
+        master: 'MASTER',
+    },
+    visualPlaceholder: {
+        loading: 'Visual wird geladen…',
+        dataSaver: 'Datensparmodus an · zum Laden des Visuals abspielen',
+    },
+    dock: {
+        label: 'Läuft gerade',
+        nowPlaying: 'Läuft gerade: {title}',
+        openLog: 'Dieses Log öffnen',
+        previous: 'Vorherige Übertragung',
+        previousTitle: 'Zurück',
+        next: 'Nächste Übertragung',
+        nextTitle: 'Weiter',
+        playAll: 'Das ganze Archiv abspielen',
+        mute: 'Stumm',
+        close: 'Stoppen und Player schließen',
+        closeTitle: 'Schließen',
+    },
+}
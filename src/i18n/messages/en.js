@@ -0,0 +1,235 @@
+/**
+ * English messages (source catalog)
+ *
+ * Every other catalog follows this shape; anything it leaves out falls back
+ * to the message here. Plural messages list Intl.PluralRules forms.
+ */
+export default {
+    common: {
+        play: 'Play',
+        pause: 'Pause',
+        playCaps: 'PLAY',
+        pauseCaps: 'PAUSE',
+        positionOf: '{position} of {duration}',
+    },
+    lab: {
+        brandTitle: 'THE SIGNAL LAB',
+        brandSubtitle: 'ALPHERATZ TECHNOLOGIES // EST. 2026',
+        headline: 'THE RESONANCE WEAVER',
+        subtitle: 'VISUAL RESONANCE ENGINE // v1.0',
+        description: 'PASSIVE LISTENING IS DEAD. THIS ENGINE ALLOWS YOU TO PHYSICALLY MANIPULATE THE GEOMETRY OF THE AUDIO SIGNAL. TOUCH THE WAVEFORM. DISTORT THE FREQUENCY.',
+        artifact: '[ INITIALIZE ARTIFACT ]',
+        artifactLabel: 'Initialize Artifact - Try the tool',
+        commission: '[ INITIATE COMMISSION ]',
+        commissionLabel: 'Initiate Commission - Hire the creator',
+        archive: '// ARCHIVED SIGNAL PROTOCOLS',
+        playArchive: '▶ PLAY THE ARCHIVE',
+        footer: 'ENGINEERED BY THE SIGNAL LAB © 2026',
+    },
+    language: {
+        label: 'Language',
+    },
+    preferences: {
+        title: 'Preferences',
+        toggle: 'PREFERENCES',
+        theme: 'Theme',
+        themes: {
+            obsidian: 'Obsidian',
+            daylight: 'Studio Daylight',
+            contrast: 'High Contrast',
+        },
+        options: {
+            reducedMotion: { label: 'Reduce motion', hint: 'Still sky, no animations' },
+            uiSounds: { label: 'Interface sounds', hint: 'Clicks and hovers' },
+            autoplay: { label: 'Autoplay video', hint: 'Start visuals when shown' },
+            dataSaver: { label: 'Data saver', hint: 'Posters only until you press play' },
+            reactiveSky: { label: 'Reactive sky', hint: 'Stars follow the playing transmission' },
+        },
+        blockedByDataSaver: 'Off while data saver is on',
+        blockedByMotion: 'Off while motion is reduced',
+        volume: 'Volume',
+        followsDevice: 'Untouched settings follow your device',
+        followSystem: 'FOLLOW SYSTEM',
+    },
+    missionLog: {
+        number: 'LOG {number}',
+        protocol: 'PROTOCOL: {title}',
+        onAir: 'ON AIR',
+        fields: {
+            service: 'SERVICE',
+            project: 'PROJECT',
+            material: 'MATERIAL',
+            architectLog: 'ARCHITECT\'S LOG',
+            result: 'RESULT',
+        },
+        materialLabel: 'Material:',
+        architectLogLabel: 'Architect\'s Log',
+        resultLabel: 'Result:',
+        muteVideo: 'Mute video',
+        unmuteVideo: 'Unmute video',
+        soundOnCaps: 'SOUND ON',
+        playTransmissionCaps: 'PLAY TRANSMISSION',
+        abxTest: 'ABX TEST',
+        playVisual: 'Play {name} visual',
+        albumArtwork: '{project} album artwork',
+        openInSpotify: 'Open in Spotify',
+        openOnSpotify: 'Open on Spotify',
+        spotifyTitle: 'External Uplink - Spotify',
+        version: 'Version (B)',
+        switchVersion: 'Switch version (B)',
+        versions: {
+            before: 'BEFORE',
+            after: 'AFTER',
+        },
+        playTransmission: 'Play transmission',
+        pauseTransmission: 'Pause transmission',
+        muteTransmission: 'Mute transmission',
+        muteTitle: 'Mute (M)',
+        spectrogramView: 'Spectrogram view',
+        spectrogramTitle: 'Spectrogram',
+        metering: 'Loudness metering',
+        meteringTitle: 'Loudness Metering',
+        abx: 'Blind ABX test',
+        abxTitle: 'Blind ABX Test',
+        announce: {
+            pausedAt: 'Paused at {position} of {duration}',
+            playing: 'Playing {title}',
+            soundOn: 'Sound on',
+            muted: 'Muted',
+            transmissionSoundOn: 'Transmission sound on',
+            transmissionMuted: 'Transmission muted',
+            before: 'Before: raw version',
+            after: 'After: calibrated version',
+        },
+    },
+    compare: {
+        simulation: 'SIMULATION',
+        reality: 'REALITY',
+        difference: 'Δ DIFFERENCE',
+        compareVideos: 'Compare videos',
+        crossfade: 'Crossfade soundtracks',
+        balance: 'Reality {reality}%, simulation {simulation}%',
+        hearRaw: 'Hear raw levels',
+        hearMatched: 'Hear level-matched',
+        measuring: 'MEASURING LEVELS…',
+        levelMatched: 'LEVEL MATCHED ±{difference} dB',
+        rawLevels: 'RAW LEVELS Δ {difference} dB',
+        announce: {
+            playing: 'Playing comparison',
+            pausedAt: 'Comparison paused at {timecode}',
+            loop: 'Loop from {start} to {end}',
+        },
+    },
+    transport: {
+        position: 'Video position',
+        previousFrame: 'Previous frame',
+        nextFrame: 'Next frame',
+        loopStart: 'Set loop start',
+        loopStartTitle: 'Set loop start at playhead',
+        loopEnd: 'Set loop end',
+        loopEndTitle: 'Set loop end at playhead',
+        clearLoop: 'Clear loop',
+        rate: 'Playback rate',
+        rateOption: '{rate}×',
+    },
+    abx: {
+        title: 'BLIND ABX TEST',
+        trialProgress: 'TRIAL {current} / {count}',
+        close: 'Close ABX test',
+        intro: 'X is secretly A or B, re-drawn every trial. Listen to A, B and X as often as you like, then decide which one X is.',
+        trialCount: 'Number of trials',
+        start: {
+            one: 'BEGIN {count} TRIAL',
+            other: 'BEGIN {count} TRIALS',
+        },
+        audition: 'Audition',
+        xIsA: 'X IS A',
+        xIsB: 'X IS B',
+        correct: 'CORRECT',
+        pValue: 'p = {value}',
+        pValueBelow: 'p < {value}',
+        significant: 'AUDIBLY DIFFERENT',
+        notSignificant: 'NOT DISTINGUISHABLE FROM GUESSING',
+        runAgain: 'RUN AGAIN',
+    },
+    metering: {
+        label: 'Loudness metering',
+        analysing: 'ANALYSING TRANSMISSION…',
+        unavailable: 'METERING UNAVAILABLE FOR THIS FILE',
+        integrated: 'Integrated',
+        range: 'Loudness Range',
+        truePeak: 'True Peak',
+        crest: 'Crest Factor',
+        correlation: 'Correlation',
+        mono: 'MONO',
+    },
+    spectrogram: {
+        label: 'Spectrogram, audio progress',
+        computing: 'COMPUTING SPECTROGRAM…',
+        unavailable: 'SPECTROGRAM UNAVAILABLE',
+        scale: 'Frequency scale',
+        scales: {
+            log: 'LOG',
+            linear: 'LIN',
+        },
+        colormap: 'Colormap',
+    },
+    waveform: {
+        label: 'Audio progress',
+    },
+    scope: {
+        mode: 'Visualizer mode',
+        modes: {
+            waveform: 'WAVE',
+            bars: 'BARS',
+            log: 'LOG',
+        },
+    },
+    cues: {
+        title: 'Cue Points',
+        goTo: 'Go to {time}: {label}',
+        marker: 'Cue at {time}: {label}',
+    },
+    stems: {
+        load: {
+            one: 'Load and play {count} stem',
+            other: 'Load and play {count} stems',
+        },
+        playCaps: 'PLAY STEMS',
+        loading: {
+            one: 'LOADING {count} STEM…',
+            other: 'LOADING {count} STEMS…',
+        },
+        unavailable: 'STEMS UNAVAILABLE',
+        mixer: 'Stem mixer',
+        play: 'Play stems',
+        pause: 'Pause stems',
+        position: 'Stem position',
+        level: '{stem} level',
+        decibels: '{value} dB',
+        mute: 'Mute {stem}',
+        solo: 'Solo {stem}',
+        muteShort: 'M',
+        soloShort: 'S',
+        masterTitle: 'Master peak (click to reset the clip light)',
+        clip: 'CLIP',
+        master: 'MASTER',
+    },
+    visualPlaceholder: {
+        loading: 'Visual loading…',
+        dataSaver: 'Data saver on · press play to load the visual',
+    },
+    dock: {
+        label: 'Now playing',
+        nowPlaying: 'Now playing: {title}',
+        openLog: 'Open this log',
+        previous: 'Previous transmission',
+        previousTitle: 'Previous',
+        next: 'Next transmission',
+        nextTitle: 'Next',
+        playAll: 'Play through the archive',
+        mute: 'Mute',
+        close: 'Stop and close player',
+        closeTitle: 'Close',
+    },
+}
@@ -0,0 +1,232 @@
+/**
+ * Brazilian Portuguese messages
+ */
+export default {
+    common: {
+        play: 'Reproduzir',
+        pause: 'Pausar',
+        playCaps: 'REPRODUZIR',
+        pauseCaps: 'PAUSAR',
+        positionOf: '{position} de {duration}',
+    },
+    lab: {
+        brandTitle: 'THE SIGNAL LAB',
+        brandSubtitle: 'ALPHERATZ TECHNOLOGIES // DESDE 2026',
+        headline: 'THE RESONANCE WEAVER',
+        subtitle: 'MOTOR DE RESSONÂNCIA VISUAL // v1.0',
+        description: 'A ESCUTA PASSIVA MORREU. ESTE MOTOR PERMITE MANIPULAR FISICAMENTE A GEOMETRIA DO SINAL DE ÁUDIO. TOQUE A FORMA DE ONDA. DISTORÇA A FREQUÊNCIA.',
+        artifact: '[ INICIALIZAR ARTEFATO ]',
+        artifactLabel: 'Inicializar artefato - Experimente a ferramenta',
+        commission: '[ INICIAR ENCOMENDA ]',
+        commissionLabel: 'Iniciar encomenda - Contrate o criador',
+        archive: '// PROTOCOLOS DE SINAL ARQUIVADOS',
+        playArchive: '▶ REPRODUZIR O ARQUIVO',
+        footer: 'PROJETADO PELO THE SIGNAL LAB © 2026',
+    },
+    language: {
+        label: 'Idioma',
+    },
+    preferences: {
+        title: 'Preferências',
+        toggle: 'PREFERÊNCIAS',
+        theme: 'Tema',
+        themes: {
+            obsidian: 'Obsidiana',
+            daylight: 'Estúdio Diurno',
+            contrast: 'Alto Contraste',
+        },
+        options: {
+            reducedMotion: { label: 'Reduzir movimento', hint: 'Céu parado, sem animações' },
+            uiSounds: { label: 'Sons da interface', hint: 'Cliques e passagens do mouse' },
+            autoplay: { label: 'Reproduzir vídeos', hint: 'Iniciar os visuais ao aparecerem' },
+            dataSaver: { label: 'Economia de dados', hint: 'Só as capas até você apertar play' },
+            reactiveSky: { label: 'Céu reativo', hint: 'As estrelas seguem a transmissão em curso' },
+        },
+        blockedByDataSaver: 'Desativado com a economia de dados',
+        blockedByMotion: 'Desativado com o movimento reduzido',
+        volume: 'Volume',
+        followsDevice: 'Ajustes não alterados seguem o seu dispositivo',
+        followSystem: 'SEGUIR O SISTEMA',
+    },
+    missionLog: {
+        number: 'LOG {number}',
+        protocol: 'PROTOCOLO: {title}',
+        onAir: 'NO AR',
+        fields: {
+            service: 'SERVIÇO',
+            project: 'PROJETO',
+            material: 'MATERIAL',
+            architectLog: 'DIÁRIO DO ARQUITETO',
+            result: 'RESULTADO',
+        },
+        materialLabel: 'Material:',
+        architectLogLabel: 'Diário do arquiteto',
+        resultLabel: 'Resultado:',
+        muteVideo: 'Silenciar vídeo',
+        unmuteVideo: 'Ativar som do vídeo',
+        soundOnCaps: 'SOM ATIVADO',
+        playTransmissionCaps: 'REPRODUZIR TRANSMISSÃO',
+        abxTest: 'TESTE ABX',
+        playVisual: 'Reproduzir visual de {name}',
+        albumArtwork: 'Capa do álbum {project}',
+        openInSpotify: 'Abrir no Spotify',
+        openOnSpotify: 'Abrir no Spotify',
+        spotifyTitle: 'Link externo - Spotify',
+        version: 'Versão (B)',
+        switchVersion: 'Trocar versão (B)',
+        versions: {
+            before: 'ANTES',
+            after: 'DEPOIS',
+        },
+        playTransmission: 'Reproduzir transmissão',
+        pauseTransmission: 'Pausar transmissão',
+        muteTransmission: 'Silenciar transmissão',
+        muteTitle: 'Silenciar (M)',
+        spectrogramView: 'Ver espectrograma',
+        spectrogramTitle: 'Espectrograma',
+        metering: 'Medição de loudness',
+        meteringTitle: 'Medição de loudness',
+        abx: 'Teste ABX cego',
+        abxTitle: 'Teste ABX cego',
+        announce: {
+            pausedAt: 'Pausado em {position} de {duration}',
+            playing: 'Reproduzindo {title}',
+            soundOn: 'Som ativado',
+            muted: 'Silenciado',
+            transmissionSoundOn: 'Som da transmissão ativado',
+            transmissionMuted: 'Transmissão silenciada',
+            before: 'Antes: versão bruta',
+            after: 'Depois: versão calibrada',
+        },
+    },
+    compare: {
+        simulation: 'SIMULAÇÃO',
+        reality: 'REALIDADE',
+        difference: 'Δ DIFERENÇA',
+        compareVideos: 'Comparar vídeos',
+        crossfade: 'Mixar trilhas sonoras',
+        balance: 'Realidade {reality}%, simulação {simulation}%',
+        hearRaw: 'Ouvir níveis originais',
+        hearMatched: 'Ouvir com níveis igualados',
+        measuring: 'MEDINDO NÍVEIS…',
+        levelMatched: 'NÍVEIS IGUALADOS ±{difference} dB',
+        rawLevels: 'NÍVEIS ORIGINAIS Δ {difference} dB',
+        announce: {
+            playing: 'Reproduzindo comparação',
+            pausedAt: 'Comparação pausada em {timecode}',
+            loop: 'Loop de {start} a {end}',
+        },
+    },
+    transport: {
+        position: 'Posição do vídeo',
+        previousFrame: 'Quadro anterior',
+        nextFrame: 'Próximo quadro',
+        loopStart: 'Definir início do loop',
+        loopStartTitle: 'Definir início do loop na agulha',
+        loopEnd: 'Definir fim do loop',
+        loopEndTitle: 'Definir fim do loop na agulha',
+        clearLoop: 'Limpar loop',
+        rate: 'Velocidade de reprodução',
+        rateOption: '{rate}×',
+    },
+    abx: {
+        title: 'TESTE ABX CEGO',
+        trialProgress: 'RODADA {current} / {count}',
+        close: 'Fechar teste ABX',
+        intro: 'X é secretamente A ou B, sorteado a cada rodada. Ouça A, B e X quantas vezes quiser e decida qual deles é o X.',
+        trialCount: 'Número de rodadas',
+        start: {
+            one: 'INICIAR {count} RODADA',
+            other: 'INICIAR {count} RODADAS',
+        },
+        audition: 'Audição',
+        xIsA: 'X É A',
+        xIsB: 'X É B',
+        correct: 'ACERTOS',
+        pValue: 'p = {value}',
+        pValueBelow: 'p < {value}',
+        significant: 'DIFERENÇA AUDÍVEL',
+        notSignificant: 'INDISTINGUÍVEL DE UM PALPITE',
+        runAgain: 'REPETIR',
+    },
+    metering: {
+        label: 'Medição de loudness',
+        analysing: 'ANALISANDO TRANSMISSÃO…',
+        unavailable: 'MEDIÇÃO INDISPONÍVEL PARA ESTE ARQUIVO',
+        integrated: 'Integrado',
+        range: 'Faixa de loudness',
+        truePeak: 'Pico real',
+        crest: 'Fator de crista',
+        correlation: 'Correlação',
+        mono: 'MONO',
+    },
+    spectrogram: {
+        label: 'Espectrograma, progresso do áudio',
+        computing: 'CALCULANDO ESPECTROGRAMA…',
+        unavailable: 'ESPECTROGRAMA INDISPONÍVEL',
+        scale: 'Escala de frequência',
+        scales: {
+            log: 'LOG',
+            linear: 'LIN',
+        },
+        colormap: 'Mapa de cores',
+    },
+    waveform: {
+        label: 'Progresso do áudio',
+    },
+    scope: {
+        mode: 'Modo do visualizador',
+        modes: {
+            waveform: 'ONDA',
+            bars: 'BARRAS',
+            log: 'LOG',
+        },
+    },
+    cues: {
+        title: 'Marcadores',
+        goTo: 'Ir para {time}: {label}',
+        marker: 'Marcador em {time}: {label}',
+    },
+    stems: {
+        load: {
+            one: 'Carregar e reproduzir {count} stem',
+            other: 'Carregar e reproduzir {count} stems',
+        },
+        playCaps: 'REPRODUZIR STEMS',
+        loading: {
+            one: 'CARREGANDO {count} STEM…',
+            other: 'CARREGANDO {count} STEMS…',
+        },
+        unavailable: 'STEMS INDISPONÍVEIS',
+        mixer: 'Mixer de stems',
+        play: 'Reproduzir stems',
+        pause: 'Pausar stems',
+        position: 'Posição dos stems',
+        level: 'Nível de {stem}',
+        decibels: '{value} dB',
+        mute: 'Silenciar {stem}',
+        solo: 'Solo de {stem}',
+        muteShort: 'M',
+        soloShort: 'S',
+        masterTitle: 'Pico do master (clique para apagar a luz de clip)',
+        clip: 'CLIP',
+        master: 'MASTER',
+    },
+    visualPlaceholder: {
+        loading: 'Carregando visual…',
+        dataSaver: 'Economia de dados ativa · toque em reproduzir para carregar o visual',
+    },
+    dock: {
+        label: 'Tocando agora',
+        nowPlaying: 'Tocando agora: {title}',
+        openLog: 'Abrir este log',
+        previous: 'Transmissão anterior',
+        previousTitle: 'Anterior',
+        next: 'Próxima transmissão',
+        nextTitle: 'Próxima',
+        playAll: 'Reproduzir o arquivo inteiro',
+        mute: 'Silenciar',
+        close: 'Parar e fechar o player',
+        closeTitle: 'Fechar',
+    },
+}
@@ -0,0 +1,504 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react'
+import { resumeAudioContext } from '../audio/audioContext'
+import { connectMediaElement, getMediaChain, duckMediaElement, setElementVolume } from '../audio/mediaGraph'
+import { rampGain } from '../audio/crossfade'
+import { usePlaybackSource } from './PlaybackCoordinator'
+import { createVideoSync } from './videoSync'
+
+/**
+ * NowPlaying - Archive-wide transmission player
+ *
+ * Features:
+ * - Owns the audio of every audio-only log, so playback survives scrolling
+ *   and collapsing cards; MissionLog and NowPlayingDock are views on it
+ * - Two decks: while one plays, the next track preloads on the other and
+ *   takes over on the current track's last frame (gapless queue)
+ * - Continuous mode plays through the whole archive in catalog order
+ * - Remembers each track's position, so going back to a log resumes it
+ * - Before/after: a track with a `beforeAudioSrc` plays its raw version
+ *   silently in sync on a third element; switching versions swaps the two
+ *   output gains, so the flip is instant and keeps the position
+ * - A single source for the playback coordinator
+ * - The playhead lives in its own store (useNowPlayingTime), so timeupdate
+ *   only re-renders the views that show the current position; the context
+ *   value and its controls stay stable between state changes
+ *
+ * Usage (inside NowPlayingProvider):
+ *   const nowPlaying = useNowPlaying()
+ *   nowPlaying.toggle('log-01') | nowPlaying.seek(42) | nowPlaying.next()
+ */
+const HANDOFF_LEAD_SECONDS = 0.05 // ≈ play() start latency, so the next deck starts as this one ends
+const RESTART_THRESHOLD_SECONDS = 3 // "Previous" restarts the current track after this point
+const SOURCE_ID = 'now-playing'
+const VERSION_SYNC_RATE = 50 // sync tolerance of half a 1/50 s "frame" (10 ms)
+const VERSION_SWITCH_TIME_CONSTANT = 0.005 // fast enough to feel instant, without a click
+
+const NowPlayingContext = createContext(null)
+
+// Playhead of the current track; subscribers re-render on timeupdate
+const createTimeStore = () => {
+    let time = 0
+    const listeners = new Set()
+    return {
+        get: () => time,
+        set: (next) => {
+            if (next === time) return
+            time = next
+            listeners.forEach((listener) => listener())
+        },
+        subscribe: (listener) => {
+            listeners.add(listener)
+            return () => listeners.delete(listener)
+        },
+    }
+}
+
+export const NowPlayingProvider = ({ tracks = [], children }) => {
+    const deckARef = useRef(null)
+    const deckBRef = useRef(null)
+    const beforeRef = useRef(null) // raw version of the current track, if it has one
+    const activeDeckRef = useRef(0) // 0 | 1
+    const deckTracksRef = useRef([null, null]) // track index loaded on each deck
+    const indexRef = useRef(null)
+    const positionsRef = useRef({}) // track id → seconds
+    const probedRef = useRef(new Set())
+    const isContinuousRef = useRef(false)
+    const isPlayingRef = useRef(false)
+    const versionRef = useRef('after')
+    const playRequestRef = useRef(0) // bumped per play(), so stale rejections are ignored
+
+    const [currentIndex, setCurrentIndex] = useState(null)
+    const [isPlaying, setIsPlayingState] = useState(false)
+    const [timeStore] = useState(createTimeStore)
+    const setCurrentTime = timeStore.set
+    const [duration, setDuration] = useState(0)
+    const [durations, setDurations] = useState({})
+    const [isMuted, setIsMuted] = useState(false)
+    const [isContinuous, setIsContinuousState] = useState(false)
+    const [isDockOpen, setIsDockOpen] = useState(false)
+    const [analyser, setAnalyser] = useState(null)
+    const [version, setVersionState] = useState('after') // 'after' | 'before'
+
+    const setIsPlaying = (playing) => {
+        isPlayingRef.current = playing
+        setIsPlayingState(playing)
+    }
+
+    const setIsContinuous = (continuous) => {
+        isContinuousRef.current = continuous
+        setIsContinuousState(continuous)
+    }
+
+    const setVersion = (nextVersion) => {
+        versionRef.current = nextVersion
+        setVersionState(nextVersion)
+    }
+
+    const getDecks = () => [deckARef.current, deckBRef.current]
+    const getActiveDeck = () => getDecks()[activeDeckRef.current]
+    const getStandbyDeck = () => getDecks()[1 - activeDeckRef.current]
+    const indexOf = (id) => tracks.findIndex((track) => track.id === id)
+    const hasBefore = currentIndex !== null && Boolean(tracks[currentIndex]?.beforeAudioSrc)
+
+    // The element currently heard: the active deck, or the raw version
+    const getAudibleElement = () => {
+        const isBefore = versionRef.current === 'before' && tracks[indexRef.current]?.beforeAudioSrc
+        return isBefore ? beforeRef.current : getActiveDeck()
+    }
+
+    const playback = usePlaybackSource(SOURCE_ID, {
+        pause: () => pause(),
+        duck: (level) => [...getDecks(), beforeRef.current].forEach((element) => duckMediaElement(element, level)),
+        analysers: () => [getMediaChain(getAudibleElement())?.analyser],
+    })
+
+    // ---- Decks ----
+
+    const loadInto = (deckNumber, index, offset = 0) => {
+        const deck = getDecks()[deckNumber]
+        if (!deck) return
+
+        if (deckTracksRef.current[deckNumber] !== index) {
+            deck.src = tracks[index].audioSrc
+            deckTracksRef.current[deckNumber] = index
+        }
+        deck.currentTime = offset
+    }
+
+    // Preload the following track on the idle deck
+    const prepareNext = () => {
+        const nextIndex = (indexRef.current ?? -1) + 1
+        if (!isContinuousRef.current || nextIndex >= tracks.length) return
+        loadInto(1 - activeDeckRef.current, nextIndex, 0)
+    }
+
+    // Only one version is heard; the standby deck stays at full level for handoffs
+    const applyVersionLevels = () => {
+        const isBefore = Boolean(beforeRef.current) && getAudibleElement() === beforeRef.current
+        const setLevel = (element, level) => {
+            if (!element) return
+            const chain = getMediaChain(element)
+            if (!chain) {
+                setElementVolume(element, level)
+                return
+            }
+            element.volume = 1
+            rampGain(chain.output.gain, level, chain.output.context, VERSION_SWITCH_TIME_CONSTANT)
+        }
+
+        setLevel(getActiveDeck(), isBefore ? 0 : 1)
+        setLevel(getStandbyDeck(), 1)
+        setLevel(beforeRef.current, isBefore ? 1 : 0)
+        setAnalyser(getMediaChain(getAudibleElement())?.analyser ?? null)
+    }
+
+    // Route both decks (and the raw version) through Web Audio (needs a user gesture the first time)
+    const routeDecks = () => {
+        [...getDecks(), beforeRef.current].forEach((element) => connectMediaElement(element))
+        resumeAudioContext()
+        applyVersionLevels()
+    }
+
+    const rememberPosition = () => {
+        const index = indexRef.current
+        const deck = getActiveDeck()
+        if (index !== null && deck) positionsRef.current[tracks[index].id] = deck.currentTime
+    }
+
+    const startActiveDeck = () => {
+        routeDecks()
+        playback.claim()
+        const deck = getActiveDeck()
+        const request = ++playRequestRef.current
+        deck.play().catch((err) => {
+            // Interrupted by a later pause/load, or superseded: not a failure
+            if (err?.name === 'AbortError') return
+            if (request !== playRequestRef.current || deck !== getActiveDeck()) return
+            setIsPlaying(false)
+        })
+        setIsPlaying(true)
+        setIsDockOpen(true)
+    }
+
+    // Make a track current, resuming where it was left unless told otherwise
+    const select = (index, { autoplay = true, offset } = {}) => {
+        if (!tracks[index] || !getActiveDeck()) return
+
+        if (indexRef.current !== index) rememberPosition()
+        getStandbyDeck()?.pause()
+
+        const id = tracks[index].id
+        const start = offset ?? (indexRef.current === index
+            ? getActiveDeck().currentTime
+            : positionsRef.current[id] ?? 0)
+
+        loadInto(activeDeckRef.current, index, start)
+        indexRef.current = index
+        setCurrentIndex(index)
+        setCurrentTime(start)
+        setDuration(durations[id] ?? 0)
+
+        if (autoplay) {
+            startActiveDeck()
+        } else {
+            getActiveDeck().pause()
+            setIsPlaying(false)
+        }
+        prepareNext()
+    }
+
+    // Gapless: start the preloaded deck and make it the active one
+    const handOff = () => {
+        const nextIndex = indexRef.current + 1
+        const nextDeckNumber = 1 - activeDeckRef.current
+        if (deckTracksRef.current[nextDeckNumber] !== nextIndex) {
+            select(nextIndex, { offset: 0 })
+            return
+        }
+
+        const nextDeck = getDecks()[nextDeckNumber]
+        nextDeck.play().catch(() => { })
+        positionsRef.current[tracks[indexRef.current].id] = 0
+
+        activeDeckRef.current = nextDeckNumber
+        indexRef.current = nextIndex
+        setCurrentIndex(nextIndex)
+        setCurrentTime(0)
+        setDuration(Number.isFinite(nextDeck.duration) ? nextDeck.duration : 0)
+        applyVersionLevels()
+        // The outgoing deck finishes its last frame, then loads the track after (see onEnded)
+    }
+
+    // Watch for the handoff point while playing through the archive
+    useEffect(() => {
+        if (!isPlaying || !isContinuous || currentIndex === null || currentIndex + 1 >= tracks.length) return
+
+        let frame = null
+        const watch = () => {
+            const deck = getActiveDeck()
+            const standby = getStandbyDeck()
+            const remaining = deck.duration - deck.currentTime
+            if (Number.isFinite(remaining) && remaining <= HANDOFF_LEAD_SECONDS * deck.playbackRate
+                && standby.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA) {
+                handOff()
+                return
+            }
+            frame = requestAnimationFrame(watch)
+        }
+        frame = requestAnimationFrame(watch)
+
+        return () => cancelAnimationFrame(frame)
+    }, [isPlaying, isContinuous, currentIndex, tracks.length])
+
+    // Mute applies to both decks
+    useEffect(() => {
+        [...getDecks(), beforeRef.current].forEach((element) => {
+            if (element) element.muted = isMuted
+        })
+    }, [isMuted])
+
+    // ---- Before/after ----
+
+    // Load the current track's raw version (or drop the previous one)
+    useEffect(() => {
+        const before = beforeRef.current
+        if (!before) return
+
+        const src = currentIndex === null ? null : tracks[currentIndex]?.beforeAudioSrc
+        if (!src) {
+            before.pause()
+            before.removeAttribute('src')
+            before.load()
+            return
+        }
+        before.src = src
+        before.currentTime = getActiveDeck()?.currentTime ?? 0
+    }, [currentIndex, tracks])
+
+    // Keep it locked to the active deck (the deck's own pauses are left alone)
+    useEffect(() => {
+        if (!hasBefore) return undefined
+        const sync = createVideoSync(getActiveDeck(), beforeRef.current, {
+            frameRate: VERSION_SYNC_RATE,
+            holdOnStall: false,
+        })
+        sync.start()
+        return () => sync.stop()
+    }, [hasBefore, currentIndex])
+
+    useEffect(() => {
+        const before = beforeRef.current
+        if (!hasBefore || !before) return
+        if (isPlaying) before.play().catch(() => { })
+        else before.pause()
+    }, [hasBefore, isPlaying, currentIndex])
+
+    useEffect(() => {
+        applyVersionLevels()
+    }, [version, hasBefore, currentIndex])
+
+    // ---- Deck events (only the active deck drives state) ----
+
+    const deckEvents = (deckNumber) => ({
+        onTimeUpdate: (e) => {
+            if (deckNumber === activeDeckRef.current) setCurrentTime(e.target.currentTime)
+        },
+        onLoadedMetadata: (e) => {
+            const index = deckTracksRef.current[deckNumber]
+            if (index === null) return
+            const trackDuration = e.target.duration
+            setDurations((known) => ({ ...known, [tracks[index].id]: trackDuration }))
+            if (deckNumber === activeDeckRef.current) setDuration(trackDuration)
+        },
+        // Pauses from outside (media keys, headphones unplugged)
+        onPause: (e) => {
+            if (deckNumber === activeDeckRef.current && !e.target.ended) setIsPlaying(false)
+        },
+        onPlay: () => {
+            if (deckNumber === activeDeckRef.current) setIsPlaying(true)
+        },
+        onEnded: () => {
+            // Outgoing deck after a handoff: reuse it for the track after next
+            if (deckNumber !== activeDeckRef.current) {
+                prepareNext()
+                return
+            }
+
+            const nextIndex = indexRef.current + 1
+            if (isContinuousRef.current && nextIndex < tracks.length) {
+                select(nextIndex, { offset: 0 }) // Handoff missed (next deck not ready)
+                return
+            }
+
+            positionsRef.current[tracks[indexRef.current].id] = 0
+            getActiveDeck().currentTime = 0
+            setCurrentTime(0)
+            setIsPlaying(false)
+            playback.release()
+        },
+    })
+
+    // ---- Controls ----
+
+    const play = (id) => {
+        const index = id ? indexOf(id) : indexRef.current ?? 0
+        if (index < 0) return
+        if (index === indexRef.current && getActiveDeck()?.src) startActiveDeck()
+        else select(index)
+    }
+
+    const pause = () => {
+        getActiveDeck()?.pause()
+        rememberPosition()
+        setIsPlaying(false)
+        playback.release()
+    }
+
+    const toggle = (id) => {
+        const isCurrent = !id || indexOf(id) === indexRef.current
+        if (isCurrent && isPlayingRef.current) pause()
+        else play(id)
+    }
+
+    const seek = (time) => {
+        const deck = getActiveDeck()
+        if (!deck || indexRef.current === null) return
+        deck.currentTime = time
+        setCurrentTime(time)
+    }
+
+    // Set a start position without interrupting whatever is playing
+    const cue = (id, time) => {
+        const index = indexOf(id)
+        if (index < 0) return
+        if (index === indexRef.current) seek(time)
+        else if (!isPlayingRef.current) select(index, { autoplay: false, offset: time })
+        else positionsRef.current[id] = time
+    }
+
+    const next = () => {
+        const index = (indexRef.current ?? -1) + 1
+        if (index < tracks.length) select(index, { autoplay: isPlayingRef.current, offset: 0 })
+    }
+
+    const previous = () => {
+        const index = indexRef.current ?? 0
+        if (getActiveDeck()?.currentTime > RESTART_THRESHOLD_SECONDS || index === 0) seek(0)
+        else select(index - 1, { autoplay: isPlayingRef.current, offset: 0 })
+    }
+
+    // Play the whole archive from the first transmission
+    const playAll = () => {
+        setIsContinuous(true)
+        select(0, { offset: 0 })
+    }
+
+    const toggleContinuous = () => {
+        setIsContinuous(!isContinuousRef.current)
+        prepareNext()
+    }
+
+    const close = () => {
+        pause()
+        setIsDockOpen(false)
+    }
+
+    // Read a track's duration without loading it on a deck
+    const probe = useCallback((id) => {
+        const track = tracks.find((candidate) => candidate.id === id)
+        if (!track || probedRef.current.has(id)) return
+        probedRef.current.add(id)
+
+        const audio = new Audio()
+        audio.preload = 'metadata'
+        audio.addEventListener('loadedmetadata', () => {
+            setDurations((known) => ({ [id]: audio.duration, ...known }))
+            audio.removeAttribute('src')
+        }, { once: true })
+        audio.src = track.audioSrc
+    }, [tracks])
+
+    // Stable wrappers around this render's controls, so the value only
+    // changes with the state below
+    const controls = {
+        play,
+        pause,
+        toggle,
+        seek,
+        cue,
+        next,
+        previous,
+        playAll,
+        toggleContinuous,
+        toggleMuted: () => setIsMuted((muted) => !muted),
+        setVersion,
+        toggleVersion: () => setVersion(versionRef.current === 'before' ? 'after' : 'before'),
+        close,
+    }
+    const controlsRef = useRef(controls)
+    controlsRef.current = controls
+    const stableControls = useMemo(() => Object.fromEntries(
+        Object.keys(controlsRef.current).map((name) => [name, (...args) => controlsRef.current[name](...args)])
+    ), [])
+
+    const value = useMemo(() => ({
+        tracks,
+        currentTrack: currentIndex === null ? null : tracks[currentIndex],
+        isPlaying,
+        duration,
+        durations,
+        positionOf: (id) => positionsRef.current[id] ?? 0,
+        // Exact position between timeupdate events (for per-frame displays)
+        getPosition: () => getActiveDeck()?.currentTime ?? 0,
+        timeStore,
+        isMuted,
+        isContinuous,
+        isDockOpen,
+        hasNext: currentIndex !== null && currentIndex + 1 < tracks.length,
+        hasPrevious: currentIndex !== null,
+        analyser,
+        version,
+        hasBefore,
+        probe,
+        ...stableControls,
+    }), [tracks, currentIndex, isPlaying, duration, durations, timeStore, isMuted, isContinuous, isDockOpen, analyser, version, hasBefore, probe, stableControls])
+
+    return (
+        <NowPlayingContext.Provider value={value}>
+            {children}
+            <audio ref={deckARef} preload="auto" {...deckEvents(0)} />
+            <audio ref={deckBRef} preload="auto" {...deckEvents(1)} />
+            <audio ref={beforeRef} preload="auto" />
+        </NowPlayingContext.Provider>
+    )
+}
+
+export const useNowPlaying = () => useContext(NowPlayingContext)
+
+/**
+ * The current track's playhead, re-rendering on every timeupdate. Pass
+ * `active: false` to opt out (reads 0) without breaking the rules of hooks.
+ */
+export const useNowPlayingTime = (active = true) => {
+    const { timeStore } = useNowPlaying()
+    return useSyncExternalStore(timeStore.subscribe, () => (active ? timeStore.get() : 0))
+}
+
+/**
+ * One log's view of the player: its own position and duration even while
+ * another track is current.
+ */
+export const useTrack = (id) => {
+    const nowPlaying = useNowPlaying()
+    const isCurrent = nowPlaying.currentTrack?.id === id
+    const playhead = useNowPlayingTime(isCurrent)
+    const currentTime = isCurrent ? playhead : nowPlaying.positionOf(id)
+    return {
+        isCurrent,
+        isPlaying: isCurrent && nowPlaying.isPlaying,
+        currentTime,
+        getPosition: isCurrent ? nowPlaying.getPosition : () => currentTime,
+        duration: isCurrent && nowPlaying.duration ? nowPlaying.duration : nowPlaying.durations[id] ?? 0,
+        analyser: isCurrent ? nowPlaying.analyser : null,
+    }
+}
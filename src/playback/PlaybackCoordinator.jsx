@@ -0,0 +1,131 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+
+/**
+ * PlaybackCoordinator - One audible transmission at a time
+ *
+ * Features:
+ * - Every audible source (MissionLog audio, ComparePlayer soundtracks,
+ *   ABX pairs) registers with the coordinator under a stable id
+ * - A source `claim()`s when it starts making sound; the others are paused
+ *   (policy 'pause') or turned down (policy 'duck') until it `release()`s
+ * - Muted/visual-only playback never claims, so looping videos stay free
+ * - Sources can expose their AnalyserNodes, so page-wide visuals can follow
+ *   whatever is audible (useActiveAnalysers)
+ * - Works without a provider (claims are no-ops), like useUISound
+ *
+ * Usage:
+ *   const { claim, release, isActive } = usePlaybackSource(id, {
+ *       pause: () => audio.pause(),
+ *       duck: (level) => duckMediaElement(audio, level),
+ *       analysers: () => [getMediaChain(audio)?.analyser],
+ *   })
+ */
+const PlaybackContext = createContext(null)
+
+export const PlaybackProvider = ({ policy = 'pause', duckLevel = 0.2, children }) => {
+    const sourcesRef = useRef(new Map()) // id → { pause, duck, analysers }
+    const activeIdRef = useRef(null)
+    const [activeId, setActiveId] = useState(null)
+
+    const setActive = useCallback((id) => {
+        activeIdRef.current = id
+        setActiveId(id)
+    }, [])
+
+    // Bring every ducked source back to full level
+    const unduckAll = useCallback(() => {
+        sourcesRef.current.forEach((source) => source.duck?.(1))
+    }, [])
+
+    const claim = useCallback((id) => {
+        sourcesRef.current.forEach((source, otherId) => {
+            if (otherId === id) {
+                source.duck?.(1)
+            } else if (policy === 'duck' && source.duck) {
+                source.duck(duckLevel)
+            } else {
+                source.pause()
+            }
+        })
+        setActive(id)
+    }, [policy, duckLevel, setActive])
+
+    const release = useCallback((id) => {
+        if (activeIdRef.current !== id) return
+        setActive(null)
+        if (policy === 'duck') unduckAll()
+    }, [policy, setActive, unduckAll])
+
+    const register = useCallback((id, source) => {
+        sourcesRef.current.set(id, source)
+
+        // Sources that appear while another one is audible start out ducked
+        if (policy === 'duck' && activeIdRef.current && activeIdRef.current !== id) {
+            source.duck?.(duckLevel)
+        }
+
+        return () => {
+            sourcesRef.current.delete(id)
+            release(id)
+        }
+    }, [policy, duckLevel, release])
+
+    // Analysers of the audible source, read fresh on every call (for animation loops)
+    const getActiveAnalysers = useCallback(() => {
+        const source = sourcesRef.current.get(activeIdRef.current)
+        return (source?.analysers() ?? []).filter(Boolean)
+    }, [])
+
+    const value = useMemo(() => ({
+        activeId,
+        claim,
+        release,
+        register,
+        getActiveAnalysers,
+    }), [activeId, claim, release, register, getActiveAnalysers])
+
+    return (
+        <PlaybackContext.Provider value={value}>
+            {children}
+        </PlaybackContext.Provider>
+    )
+}
+
+/**
+ * Register a source for as long as the calling component is mounted.
+ * Handlers may change every render; the latest ones are always used.
+ */
+export const usePlaybackSource = (id, { pause, duck, analysers } = {}) => {
+    const context = useContext(PlaybackContext)
+    const handlersRef = useRef({ pause, duck, analysers })
+    handlersRef.current = { pause, duck, analysers }
+
+    // Sources without a duck handler are always paused instead
+    const register = context?.register
+    const canDuck = Boolean(duck)
+    useEffect(() => {
+        if (!register) return undefined
+        return register(id, {
+            pause: () => handlersRef.current.pause?.(),
+            duck: canDuck ? (level) => handlersRef.current.duck?.(level) : undefined,
+            analysers: () => handlersRef.current.analysers?.() ?? [],
+        })
+    }, [register, id, canDuck])
+
+    const claim = useCallback(() => context?.claim(id), [context, id])
+    const release = useCallback(() => context?.release(id), [context, id])
+
+    return {
+        claim,
+        release,
+        isActive: context?.activeId === id,
+    }
+}
+
+// Which source is currently audible (null when nothing is)
+export const useActivePlayback = () => useContext(PlaybackContext)?.activeId ?? null
+
+const NO_ANALYSERS = () => []
+
+// Stable getter for the audible source's AnalyserNodes ([] when silent)
+export const useActiveAnalysers = () => useContext(PlaybackContext)?.getActiveAnalysers ?? NO_ANALYSERS
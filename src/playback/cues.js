@@ -0,0 +1,20 @@
+/**
+ * Cue Points
+ *
+ * Timestamped annotations from a log's `cues` list:
+ * { time (seconds), label, note? }. Entries without a usable time or label
+ * are dropped; the rest are sorted by time.
+ */
+export const normalizeCues = (cues) => {
+    if (!Array.isArray(cues)) return []
+    return cues
+        .filter((cue) => Number.isFinite(cue?.time) && cue.time >= 0 && cue.label)
+        .sort((a, b) => a.time - b.time)
+}
+
+// Index of the cue playback has most recently passed, or -1 before the first
+export const activeCueIndex = (cues, time) => {
+    let active = -1
+    for (let i = 0; i < cues.length && cues[i].time <= time; i++) active = i
+    return active
+}
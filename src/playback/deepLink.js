@@ -0,0 +1,137 @@
+import { useEffect, useRef } from 'react'
+
+/**
+ * Deep Links
+ *
+ * `#log-02?t=12.5&split=70` opens LOG 02, seeks to 12.5 s and sets the
+ * ComparePlayer split to 70%.
+ *
+ * - Opening a log pushes a history entry, so Back/Forward walk through
+ *   the logs a visitor opened
+ * - Seeks, pauses and slider moves replace the current entry (debounced),
+ *   so the address bar is always shareable without flooding history
+ * - Only our own hash format is read; other fragments are left alone
+ */
+const LINK_PATTERN = /^#(log-[\w-]+)(?:\?(.*))?$/
+const REPLACE_DELAY_MS = 300
+
+export const logAnchorId = (logNumber) => `log-${logNumber}`
+
+const parseNumber = (value, min, max) => {
+    if (value === null || value === '') return null
+    const number = Number(value)
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : null
+}
+
+// '#log-02?t=12.5&split=70' → { id: 'log-02', time: 12.5, split: 70 }
+export const parseDeepLink = (hash) => {
+    const match = LINK_PATTERN.exec(hash || '')
+    if (!match) return null
+
+    const params = new URLSearchParams(match[2] || '')
+    return {
+        id: match[1],
+        time: parseNumber(params.get('t'), 0, Infinity),
+        split: parseNumber(params.get('split'), 0, 100),
+    }
+}
+
+export const buildDeepLink = ({ id, time = null, split = null }) => {
+    const params = new URLSearchParams()
+    if (time !== null) params.set('t', String(Math.round(time * 10) / 10))
+    if (split !== null) params.set('split', String(Math.round(split)))
+
+    const query = params.toString()
+    return `#${id}${query ? `?${query}` : ''}`
+}
+
+const urlWithHash = (hash) => `${window.location.pathname}${window.location.search}${hash}`
+
+let replaceTimer = null
+let pendingHash = null // Debounced replace not yet written
+
+const currentLink = () => parseDeepLink(window.location.hash)
+const latestLink = () => parseDeepLink(pendingHash ?? window.location.hash)
+
+// Which log the URL pointed at before the latest history navigation
+let linkedId = currentLink()?.id ?? null
+let previousLinkedId = null
+
+const cancelPendingReplace = () => {
+    clearTimeout(replaceTimer)
+    pendingHash = null
+}
+
+// Registered before any log, so every log sees the same before/after pair
+window.addEventListener('popstate', () => {
+    cancelPendingReplace()
+    previousLinkedId = linkedId
+    linkedId = currentLink()?.id ?? null
+})
+
+const writeLink = (hash, { push }) => {
+    cancelPendingReplace()
+    linkedId = parseDeepLink(hash)?.id ?? null
+    if (hash === window.location.hash) return
+
+    if (push) {
+        window.history.pushState(null, '', urlWithHash(hash))
+    } else {
+        window.history.replaceState(window.history.state, '', urlWithHash(hash))
+    }
+}
+
+/**
+ * Connect one log to the URL.
+ *
+ * `onOpen(link)` runs when the page loads on this log's link and whenever
+ * history navigation lands on it; `onLeave()` runs when history navigation
+ * moves away from it. Returns writers for the log's own interactions.
+ */
+export const useDeepLink = (id, { onOpen, onLeave }) => {
+    const handlersRef = useRef({ onOpen, onLeave })
+    handlersRef.current = { onOpen, onLeave }
+
+    useEffect(() => {
+        // popstate also fires for hashes typed into the address bar
+        const apply = (isNavigation) => {
+            const link = currentLink()
+            if (link?.id === id) {
+                handlersRef.current.onOpen(link)
+            } else if (isNavigation && previousLinkedId === id) {
+                handlersRef.current.onLeave()
+            }
+        }
+        const handlePopState = () => apply(true)
+
+        apply(false)
+        window.addEventListener('popstate', handlePopState)
+
+        return () => window.removeEventListener('popstate', handlePopState)
+    }, [id])
+
+    // Keep whatever position/split the link already carries
+    const merged = (changes) => {
+        const link = latestLink()
+        const base = link?.id === id ? link : { time: null, split: null }
+        return buildDeepLink({ id, time: base.time, split: base.split, ...changes })
+    }
+
+    return {
+        // A visitor opened this log: new history entry
+        open: () => writeLink(`#${id}`, { push: true }),
+
+        // A visitor closed this log: new history entry without our link
+        close: () => {
+            if (latestLink()?.id === id) writeLink('', { push: true })
+        },
+
+        // Position or split changed: update the current entry
+        update: (changes) => {
+            const hash = merged(changes)
+            pendingHash = hash
+            clearTimeout(replaceTimer)
+            replaceTimer = setTimeout(() => writeLink(hash, { push: false }), REPLACE_DELAY_MS)
+        },
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Timecode Helpers
+ *
+ * m:ss readouts for audio and m:ss:ff readouts for frame-accurate
+ * transport displays. Pass a locale to get its digits and grouping for the
+ * minutes (the separators stay colons, which every supported locale uses);
+ * components get locale-bound versions from useI18n.
+ */
+export const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2]
+
+const minuteFormats = new Map() // locale → Intl.NumberFormat
+const pairFormats = new Map()
+
+const formatMinutes = (value, locale) => {
+    if (!locale) return String(value)
+    if (!minuteFormats.has(locale)) minuteFormats.set(locale, new Intl.NumberFormat(locale))
+    return minuteFormats.get(locale).format(value)
+}
+
+// Two-digit seconds / frames
+const formatPair = (value, locale) => {
+    if (!locale) return value.toString().padStart(2, '0')
+    if (!pairFormats.has(locale)) {
+        pairFormats.set(locale, new Intl.NumberFormat(locale, { minimumIntegerDigits: 2, useGrouping: false }))
+    }
+    return pairFormats.get(locale).format(value)
+}
+
+export const formatTime = (seconds, locale) => {
+    const safeSeconds = !seconds || isNaN(seconds) ? 0 : seconds
+    const mins = Math.floor(safeSeconds / 60)
+    const secs = Math.floor(safeSeconds % 60)
+    return `${formatMinutes(mins, locale)}:${formatPair(secs, locale)}`
+}
+
+export const formatTimecode = (seconds, frameRate = 30, locale) => {
+    const safeSeconds = !Number.isFinite(seconds) || seconds < 0 ? 0 : seconds
+    const totalFrames = Math.floor(safeSeconds * frameRate + 1e-6)
+    const frames = totalFrames % Math.round(frameRate)
+    const totalSeconds = Math.floor(totalFrames / frameRate)
+    const mins = Math.floor(totalSeconds / 60)
+    const secs = totalSeconds % 60
+
+    return `${formatMinutes(mins, locale)}:${formatPair(secs, locale)}:${formatPair(frames, locale)}`
+}
+
+export const frameIndex = (seconds, frameRate = 30) => Math.floor(seconds * frameRate + 1e-6)
+
+// Seek target for a frame: its midpoint, so decoders never land on the
+// previous frame through rounding
+export const frameTime = (index, frameRate = 30) => (Math.max(0, index) + 0.5) / frameRate
@@ -0,0 +1,196 @@
+/**
+ * Video Sync Engine
+ *
+ * Keeps a follower <video> locked to a master <video> for sound-to-picture
+ * work, without the visible jumps of naive currentTime snapping.
+ * Audio elements work too (on the requestAnimationFrame clock).
+ *
+ * - Clock: requestVideoFrameCallback on both videos (exact presented media
+ *   time), falling back to requestAnimationFrame + currentTime
+ * - Small drift: nudges the follower's playbackRate (proportional control,
+ *   capped at ±5%) until it converges within half a frame
+ * - Large drift (> 0.5 s) or paused master: hard seek
+ * - Buffering: if either side runs dry (`waiting`), the other is held until
+ *   it recovers (`holdOnStall: false` leaves the master alone, for masters
+ *   whose pauses mean something to their owner). A pause or seek by the
+ *   user in the meantime cancels the hold, so nothing restarts behind
+ *   their back. (`stalled` is ignored: it often fires while playback
+ *   carries on from the buffer, and no `playing` follows to release it.)
+ * - Looping: wrap-around is treated as continuous time, not as drift
+ */
+const HARD_SEEK_SECONDS = 0.5
+const RATE_GAIN = 0.5 // rate correction per second of drift
+const MAX_RATE_ADJUST = 0.05
+const REPORT_INTERVAL_MS = 250
+
+const supportsFrameCallback = (video) => typeof video?.requestVideoFrameCallback === 'function'
+
+export const createVideoSync = (master, follower, { frameRate = 30, holdOnStall = true, onReport } = {}) => {
+    const useFrameCallback = supportsFrameCallback(master) && supportsFrameCallback(follower)
+    const clocks = new Map() // video → { mediaTime, at }
+    const heldByStall = new Set() // videos we paused because the other side stalled
+    const ownPauses = new Set() // holds whose pause event hasn't arrived yet
+    const handles = new Map() // video | 'raf' → pending callback handle
+    let running = false
+    let lastReport = 0
+
+    // Best estimate of a video's current media time
+    const mediaTimeOf = (video) => {
+        const clock = clocks.get(video)
+        if (!clock || video.paused) return video.currentTime
+        return clock.mediaTime + ((performance.now() - clock.at) / 1000) * video.playbackRate
+    }
+
+    const wrappedDrift = (drift) => {
+        const duration = master.duration
+        if (!Number.isFinite(duration) || duration <= 0) return drift
+        if (drift > duration / 2) return drift - duration
+        if (drift < -duration / 2) return drift + duration
+        return drift
+    }
+
+    const correct = () => {
+        // Let a pending seek land before measuring again
+        if (follower.seeking) return
+
+        const masterTime = mediaTimeOf(master)
+        const drift = wrappedDrift(mediaTimeOf(follower) - masterTime)
+        const frame = 1 / frameRate
+        const masterRate = master.playbackRate || 1
+        let action = 'locked'
+
+        if (master.paused || Math.abs(drift) > HARD_SEEK_SECONDS) {
+            // Paused (e.g. scrubbing) or way off: seek exactly
+            if (Math.abs(drift) > frame / 2) {
+                follower.currentTime = master.currentTime
+                clocks.delete(follower) // stale until its next presented frame
+                action = 'seek'
+            }
+            follower.playbackRate = masterRate
+        } else if (Math.abs(drift) > frame / 2) {
+            // Follower ahead → slow down, behind → speed up
+            const adjust = Math.max(-MAX_RATE_ADJUST, Math.min(MAX_RATE_ADJUST, drift * RATE_GAIN))
+            follower.playbackRate = masterRate * (1 - adjust)
+            action = 'nudge'
+        } else {
+            follower.playbackRate = masterRate
+        }
+
+        const now = performance.now()
+        if (onReport && now - lastReport > REPORT_INTERVAL_MS) {
+            lastReport = now
+            onReport({
+                driftSeconds: drift,
+                driftFrames: drift * frameRate,
+                followerRate: follower.playbackRate / masterRate,
+                action,
+                clock: useFrameCallback ? 'rVFC' : 'rAF',
+            })
+        }
+    }
+
+    // ---- Clock loops ----
+
+    const watchFrames = (video, onFrame) => {
+        const tick = (now, metadata) => {
+            if (!running) return
+            clocks.set(video, { mediaTime: metadata.mediaTime, at: metadata.expectedDisplayTime || now })
+            onFrame?.()
+            handles.set(video, video.requestVideoFrameCallback(tick))
+        }
+        handles.set(video, video.requestVideoFrameCallback(tick))
+    }
+
+    const watchAnimationFrames = () => {
+        const tick = () => {
+            if (!running) return
+            correct()
+            handles.set('raf', requestAnimationFrame(tick))
+        }
+        handles.set('raf', requestAnimationFrame(tick))
+    }
+
+    // rVFC stops firing while paused, so correct on seeks/pauses too
+    const handleMasterEvent = () => correct()
+
+    // ---- Buffering ----
+
+    const handleWaiting = (event) => {
+        if (!holdOnStall) return
+        const other = event.target === master ? follower : master
+        if (!other.paused) {
+            heldByStall.add(other)
+            ownPauses.add(other)
+            other.pause()
+        }
+    }
+
+    const handleResumed = (event) => {
+        const other = event.target === master ? follower : master
+        if (!heldByStall.has(other)) return
+        heldByStall.delete(other)
+
+        // The follower only runs alongside a playing master
+        if (other === follower && master.paused) return
+        other.play().catch(() => { })
+    }
+
+    // A pause we didn't cause means the user wants it stopped: drop every hold
+    const handlePause = (event) => {
+        if (ownPauses.delete(event.target)) return
+        heldByStall.clear()
+    }
+
+    // The user moved the master: never restart it ourselves after that
+    const handleMasterSeeked = () => {
+        heldByStall.delete(master)
+    }
+
+    const bufferingEvents = [['waiting', handleWaiting], ['playing', handleResumed], ['canplay', handleResumed], ['pause', handlePause]]
+    const masterEvents = [
+        ['seeked', handleMasterEvent],
+        ['seeked', handleMasterSeeked],
+        ['pause', handleMasterEvent],
+        ['ratechange', handleMasterEvent],
+    ]
+
+    const start = () => {
+        if (running || !master || !follower) return
+        running = true
+
+        if (useFrameCallback) {
+            watchFrames(follower)
+            watchFrames(master, correct)
+        } else {
+            watchAnimationFrames()
+        }
+
+        for (const video of [master, follower]) {
+            bufferingEvents.forEach(([name, handler]) => video.addEventListener(name, handler))
+        }
+        masterEvents.forEach(([name, handler]) => master.addEventListener(name, handler))
+    }
+
+    const stop = () => {
+        if (!running) return
+        running = false
+
+        handles.forEach((handle, key) => {
+            if (key === 'raf') cancelAnimationFrame(handle)
+            else key.cancelVideoFrameCallback(handle)
+        })
+        handles.clear()
+
+        for (const video of [master, follower]) {
+            bufferingEvents.forEach(([name, handler]) => video.removeEventListener(name, handler))
+        }
+        masterEvents.forEach(([name, handler]) => master.removeEventListener(name, handler))
+
+        follower.playbackRate = master.playbackRate || 1
+        heldByStall.clear()
+        ownPauses.clear()
+        clocks.clear()
+    }
+
+    return { start, stop, resync: correct }
+}
@@ -0,0 +1,181 @@
+import { createContext, useCallback, useContext, useEffect, useLayoutEffect, useMemo, useState } from 'react'
+import { MotionConfig } from 'framer-motion'
+import { DEFAULT_THEME, isTheme } from './themes'
+import { detectLocale, isLocale } from '../i18n/locales'
+
+/**
+ * Preferences - Visitor settings for motion, sound, autoplay and data use
+ *
+ * Features:
+ * - One source of truth that every component honors:
+ *   - reducedMotion: no looping/decorative animation (framer-motion, CSS,
+ *     Starfield); expanding and scrolling happen instantly
+ *   - uiSounds / uiVolume: interface clicks and hovers (see audio/UISound)
+ *   - autoplay: videos start by themselves when shown
+ *   - dataSaver: media shows its poster only and loads once the visitor
+ *     presses play (also turns autoplay off)
+ *   - reactiveSky: Starfield follows the audible transmission
+ *   - theme: color palette (see ./themes)
+ *   - locale: interface and content language (see i18n/I18n)
+ * - Settings the visitor hasn't touched follow the OS
+ *   (prefers-reduced-motion, prefers-reduced-data / Save-Data,
+ *   prefers-contrast, prefers-color-scheme, browser languages) and update
+ *   live when it changes; changed ones are remembered in localStorage
+ * - Theme and reduced motion are mirrored on <html data-theme="…"
+ *   data-motion="reduced"> for CSS (before children's effects run, so they
+ *   can read the new tokens); reduced motion also goes to framer-motion
+ *   through MotionConfig
+ *
+ * Usage (inside PreferencesProvider):
+ *   const { preferences, setPreference, shouldAutoplay } = usePreferences()
+ *   setPreference('uiSounds', false)
+ *   resetPreferences(['uiSounds']) // follow the OS again (isCustomized takes keys too)
+ */
+const STORAGE_KEY = 'signal-lab:preferences'
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+const REDUCED_DATA_QUERY = '(prefers-reduced-data: reduce)'
+const MORE_CONTRAST_QUERY = '(prefers-contrast: more)'
+const LIGHT_SCHEME_QUERY = '(prefers-color-scheme: light)'
+const SYSTEM_QUERIES = [REDUCED_MOTION_QUERY, REDUCED_DATA_QUERY, MORE_CONTRAST_QUERY, LIGHT_SCHEME_QUERY]
+
+export const DEFAULT_UI_VOLUME = 0.3
+
+const matchesQuery = (query) => Boolean(window.matchMedia?.(query).matches)
+
+const systemTheme = () => {
+    if (matchesQuery(MORE_CONTRAST_QUERY)) return 'contrast'
+    if (matchesQuery(LIGHT_SCHEME_QUERY)) return 'daylight'
+    return DEFAULT_THEME
+}
+
+// What the OS asks for; used for every setting the visitor hasn't changed
+const systemPreferences = () => {
+    const reducedMotion = matchesQuery(REDUCED_MOTION_QUERY)
+    const dataSaver = matchesQuery(REDUCED_DATA_QUERY) || Boolean(navigator.connection?.saveData)
+    return {
+        reducedMotion,
+        uiSounds: true,
+        uiVolume: DEFAULT_UI_VOLUME,
+        autoplay: !reducedMotion && !dataSaver,
+        dataSaver,
+        reactiveSky: false,
+        theme: systemTheme(),
+        locale: detectLocale(),
+    }
+}
+
+// Stored values that must be one of a known set
+const VALIDATORS = {
+    theme: isTheme,
+    locale: isLocale,
+}
+
+const readOverrides = () => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+        return stored && typeof stored === 'object' ? stored : {}
+    } catch {
+        return {}
+    }
+}
+
+const writeOverrides = (overrides) => {
+    try {
+        if (Object.keys(overrides).length === 0) window.localStorage.removeItem(STORAGE_KEY)
+        else window.localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides))
+    } catch {
+        // Storage unavailable (private mode): choices last for this visit
+    }
+}
+
+const PreferencesContext = createContext(null)
+
+export const PreferencesProvider = ({ children }) => {
+    const [system, setSystem] = useState(systemPreferences)
+    const [overrides, setOverrides] = useState(readOverrides)
+
+    // Follow OS changes for everything not overridden
+    useEffect(() => {
+        const queries = SYSTEM_QUERIES
+            .map((query) => window.matchMedia?.(query))
+            .filter(Boolean)
+        const update = () => setSystem(systemPreferences())
+        queries.forEach((query) => query.addEventListener?.('change', update))
+        navigator.connection?.addEventListener?.('change', update)
+        window.addEventListener('languagechange', update)
+
+        return () => {
+            queries.forEach((query) => query.removeEventListener?.('change', update))
+            navigator.connection?.removeEventListener?.('change', update)
+            window.removeEventListener('languagechange', update)
+        }
+    }, [])
+
+    useEffect(() => {
+        writeOverrides(overrides)
+    }, [overrides])
+
+    const preferences = useMemo(() => {
+        const merged = { ...system }
+        for (const key of Object.keys(system)) {
+            const value = overrides[key]
+            if (typeof value !== typeof system[key]) continue
+            if (VALIDATORS[key] && !VALIDATORS[key](value)) continue
+            merged[key] = value
+        }
+        return merged
+    }, [system, overrides])
+
+    useLayoutEffect(() => {
+        const root = document.documentElement
+        root.dataset.motion = preferences.reducedMotion ? 'reduced' : 'full'
+        root.dataset.theme = preferences.theme
+    }, [preferences.reducedMotion, preferences.theme])
+
+    const setPreference = useCallback((key, value) => {
+        setOverrides((current) => ({ ...current, [key]: value }))
+    }, [])
+
+    // Back to following the OS for `keys`; every other choice stays
+    const resetPreferences = useCallback((keys) => {
+        setOverrides((current) => Object.fromEntries(Object.entries(current).filter(([key]) => !keys.includes(key))))
+    }, [])
+
+    const isCustomized = useCallback((keys) => keys.some((key) => key in overrides), [overrides])
+
+    const value = useMemo(() => ({
+        preferences,
+        setPreference,
+        resetPreferences,
+        isCustomized,
+        shouldAutoplay: preferences.autoplay && !preferences.dataSaver,
+    }), [preferences, setPreference, resetPreferences, isCustomized])
+
+    return (
+        <PreferencesContext.Provider value={value}>
+            <MotionConfig reducedMotion={preferences.reducedMotion ? 'always' : 'never'}>
+                {children}
+            </MotionConfig>
+        </PreferencesContext.Provider>
+    )
+}
+
+// Outside a provider: the OS settings, read once
+let fallback = null
+
+export const usePreferences = () => {
+    const context = useContext(PreferencesContext)
+    if (context) return context
+
+    if (!fallback) {
+        const preferences = systemPreferences()
+        fallback = {
+            preferences,
+            setPreference: () => { },
+            resetPreferences: () => { },
+            isCustomized: () => false,
+            shouldAutoplay: preferences.autoplay && !preferences.dataSaver,
+        }
+    }
+    return fallback
+}
@@ -0,0 +1,23 @@
+/**
+ * Themes
+ *
+ * A palette is a set of design tokens (CSS custom properties) in index.css:
+ * the Obsidian defaults on :root, and each alternate under
+ * [data-theme="…"]. The Preferences provider puts the visitor's choice on
+ * <html>, so every stylesheet follows without knowing about themes.
+ *
+ * Canvas code can't use var(); it reads the resolved value with readToken
+ * and redraws when the theme changes.
+ */
+// Ids; their names are messages (preferences.themes.<id>)
+export const THEMES = ['obsidian', 'daylight', 'contrast']
+
+export const DEFAULT_THEME = 'obsidian'
+
+export const isTheme = (id) => THEMES.includes(id)
+
+// Resolved value of a token on an element (or the fallback if unset)
+export const readToken = (element, name, fallback) => {
+    const value = getComputedStyle(element).getPropertyValue(name).trim()
+    return value || fallback
+}
@@ -0,0 +1,37 @@
+import { createStarfieldScene } from './starfieldScene'
+
+/**
+ * Starfield Worker - Runs the Starfield scene on an OffscreenCanvas
+ *
+ * Messages from the Starfield component:
+ * - init    { canvas, starCount, color, width, height, dpr, running }
+ * - resize  { width, height, dpr }
+ * - levels  { levels }   band levels for reactive mode
+ * - running { running }  paused while the page is hidden
+ * - color   { color }    star color as "r, g, b" (theme token)
+ */
+let scene = null
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            scene = createStarfieldScene(data.canvas, { starCount: data.starCount, color: data.color })
+            scene.resize(data.width, data.height, data.dpr)
+            scene.setRunning(data.running)
+            break
+        case 'resize':
+            scene?.resize(data.width, data.height, data.dpr)
+            break
+        case 'levels':
+            scene?.setLevels(data.levels)
+            break
+        case 'running':
+            scene?.setRunning(data.running)
+            break
+        case 'color':
+            scene?.setColor(data.color)
+            break
+        default:
+            break
+    }
+}
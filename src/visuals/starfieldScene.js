@@ -0,0 +1,181 @@
+import { followBands } from '../audio/bands'
+
+/**
+ * Starfield Scene
+ *
+ * The Starfield's drawing loop, independent of where it runs: the
+ * Starfield component hands it an OffscreenCanvas inside a worker
+ * (starfield.worker.js) when the browser allows, or the page canvas
+ * otherwise.
+ *
+ * - Backing store sized in device pixels, drawing done in CSS pixels
+ * - Stars are stamped from one pre-rendered disc sprite; drawImage is far
+ *   cheaper than building two arc paths per star
+ * - Motion is scaled by frame time, so high-refresh screens and dropped
+ *   frames keep the same pace
+ * - Resizing rescales star positions instead of rerolling the sky
+ * - Star color comes from the theme's --star-rgb token (setColor), read by
+ *   the component since a worker can't see CSS
+ */
+const SPRITE_SIZE = 64
+const MAX_DPR = 2
+const FRAME_MS = 1000 / 60
+const MAX_STEP = 4 // frames of motion to catch up after a stall
+const REFERENCE_AREA = 1440 * 900 // viewport that gets the requested star count
+const MIN_STARS = 30
+
+// Workers may lack requestAnimationFrame; a 60 Hz timer stands in
+const requestFrame = (callback) => (typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(callback)
+    : setTimeout(() => callback(performance.now()), FRAME_MS))
+
+const cancelFrame = (frame) => (typeof cancelAnimationFrame === 'function'
+    ? cancelAnimationFrame(frame)
+    : clearTimeout(frame))
+
+const createSurface = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+export const DEFAULT_STAR_RGB = '255, 255, 255'
+
+const createSprite = (rgb) => {
+    const sprite = createSurface(SPRITE_SIZE, SPRITE_SIZE)
+    const ctx = sprite.getContext('2d')
+    ctx.fillStyle = `rgb(${rgb})`
+    ctx.beginPath()
+    ctx.arc(SPRITE_SIZE / 2, SPRITE_SIZE / 2, SPRITE_SIZE / 2, 0, Math.PI * 2)
+    ctx.fill()
+    return sprite
+}
+
+const createStar = (width, height) => ({
+    x: Math.random() * width,
+    y: Math.random() * height,
+    size: Math.random() * 1.5 + 0.5,
+    opacity: Math.random() * 0.5 + 0.2,
+    twinkleSpeed: Math.random() * 0.02 + 0.005,
+    twinklePhase: Math.random() * Math.PI * 2,
+    driftX: (Math.random() - 0.5) * 0.05,
+    driftY: (Math.random() - 0.5) * 0.02,
+})
+
+/**
+ * How many stars this device should draw: fewer on small screens, few
+ * cores, little memory or with Save-Data on. Main thread only.
+ */
+export const starBudget = (requested, width, height) => {
+    const nav = globalThis.navigator ?? {}
+    const cores = nav.hardwareConcurrency ?? 4
+    let scale = Math.min(1.25, Math.max(0.5, Math.sqrt((width * height) / REFERENCE_AREA)))
+
+    if (cores <= 2) scale *= 0.6
+    else if (cores <= 4) scale *= 0.8
+    if ((nav.deviceMemory ?? 8) < 4) scale *= 0.75
+    if (nav.connection?.saveData) scale *= 0.5
+
+    return Math.max(MIN_STARS, Math.round(requested * scale))
+}
+
+export const createStarfieldScene = (canvas, { starCount, color = DEFAULT_STAR_RGB }) => {
+    const ctx = canvas.getContext('2d')
+    let sprite = createSprite(color)
+    const levels = { low: 0, mid: 0, high: 0 } // smoothed
+    let target = { low: 0, mid: 0, high: 0 }
+    let stars = []
+    let width = 0
+    let height = 0
+    let frame = null
+    let lastTime = 0
+
+    const stamp = (x, y, radius, alpha) => {
+        ctx.globalAlpha = alpha
+        ctx.drawImage(sprite, x - radius, y - radius, radius * 2, radius * 2)
+    }
+
+    const draw = (step) => {
+        ctx.clearRect(0, 0, width, height)
+
+        const { low, mid, high } = followBands(levels, target)
+        const driftBoost = (1 + mid * 6) * step
+
+        stars.forEach((star) => {
+            // Very slow drift, wrapping around the edges
+            star.x += star.driftX * driftBoost
+            star.y += star.driftY * driftBoost
+            if (star.x < 0) star.x = width
+            if (star.x > width) star.x = 0
+            if (star.y < 0) star.y = height
+            if (star.y > height) star.y = 0
+
+            // Twinkle (phase advances faster with the highs)
+            star.twinklePhase += star.twinkleSpeed * (1 + high * 8) * step
+            const twinkle = Math.sin(star.twinklePhase)
+            const opacity = Math.min(1, star.opacity * (0.6 + twinkle * 0.4) * (1 + mid * 0.8))
+
+            // Low end swells the larger stars, which also get a soft glow
+            const isLarge = star.size > 1
+            const radius = isLarge ? star.size * (1 + low * (star.size - 0.5) * 1.2) : star.size
+            stamp(star.x, star.y, radius, opacity)
+            if (isLarge) stamp(star.x, star.y, radius * (2 + low), opacity * (0.1 + low * 0.15))
+        })
+
+        ctx.globalAlpha = 1
+    }
+
+    const tick = (now) => {
+        const step = lastTime ? Math.min((now - lastTime) / FRAME_MS, MAX_STEP) : 1
+        lastTime = now
+        draw(step)
+        frame = requestFrame(tick)
+    }
+
+    // Size in CSS pixels; the first call seeds the stars
+    const resize = (nextWidth, nextHeight, dpr = 1) => {
+        const ratio = Math.min(dpr, MAX_DPR)
+        canvas.width = Math.round(nextWidth * ratio)
+        canvas.height = Math.round(nextHeight * ratio)
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+
+        if (stars.length === 0) {
+            stars = Array.from({ length: starCount }, () => createStar(nextWidth, nextHeight))
+        } else if (width > 0 && height > 0) {
+            stars.forEach((star) => {
+                star.x *= nextWidth / width
+                star.y *= nextHeight / height
+            })
+        }
+        width = nextWidth
+        height = nextHeight
+
+        // Resizing clears the canvas; repaint right away if paused
+        if (frame === null) draw(0)
+    }
+
+    const setRunning = (running) => {
+        if (running && frame === null) {
+            lastTime = 0
+            frame = requestFrame(tick)
+        } else if (!running && frame !== null) {
+            cancelFrame(frame)
+            frame = null
+        }
+    }
+
+    return {
+        resize,
+        setRunning,
+        setLevels: (next) => {
+            target = next
+        },
+        setColor: (rgb) => {
+            sprite = createSprite(rgb)
+            if (frame === null) draw(0)
+        },
+        dispose: () => setRunning(false),
+    }
+}
@@ -1,8 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import validateAssets from './plugins/validateAssets'
+import waveformPeaks from './plugins/waveformPeaks'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // ASSET_CHECK=warn lets a preview build through with missing media
+    validateAssets({ strict: process.env.ASSET_CHECK !== 'warn' }),
+    waveformPeaks()
+  ],
   server: {
     host: true,
     port: 5173